@@ -0,0 +1,17 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var AggregateError = function AggregateError(errors, extra) {
+    if (!(this instanceof AggregateError)) {
+        return new AggregateError(errors, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = AggregateError.name;
+    this.message = errors.length + " tasks failed";
+    this.errors = errors;
+    this.cause = errors.length > 0 ? errors[0] : null;
+    this.extra = extra || {};
+}
+AggregateError.prototype = Object.create(Error.prototype);
+AggregateError.prototype.constructor = AggregateError;
+
+module.exports = AggregateError;
@@ -0,0 +1,16 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var CancellationError = function CancellationError(extra) {
+    if (!(this instanceof CancellationError)) {
+        return new CancellationError(extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = CancellationError.name;
+    this.message = "Task was cancelled";
+    this.cause = null;
+    this.extra = extra || {};
+}
+CancellationError.prototype = Object.create(Error.prototype);
+CancellationError.prototype.constructor = CancellationError;
+
+module.exports = CancellationError;
@@ -0,0 +1,17 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var CircuitOpenError = function CircuitOpenError(state, extra) {
+    if (!(this instanceof CircuitOpenError)) {
+        return new CircuitOpenError(state, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = CircuitOpenError.name;
+    this.message = "Circuit breaker is " + state;
+    this.state = state;
+    this.cause = null;
+    this.extra = extra || {};
+}
+CircuitOpenError.prototype = Object.create(Error.prototype);
+CircuitOpenError.prototype.constructor = CircuitOpenError;
+
+module.exports = CircuitOpenError;
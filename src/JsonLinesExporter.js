@@ -0,0 +1,47 @@
+/**
+ * Creates instrumentation hooks which write every finished span to a stream as a line of JSON.
+ *
+ * Each line is a span in the Zipkin v2 JSON format, with times in microseconds,
+ * so the file can be loaded by Zipkin, Jaeger and other tools that accept that format.
+ * The status of the task is written to the task.status tag, and the rejected value
+ * of a rejected task to the error tag.
+ *
+ * The stream can be anything with a write method, such as a file opened with fs.createWriteStream.
+ *
+ * @sig {write: String -> *} -> String -> Hooks
+ *
+ * @example
+ *
+ *      var stream = fs.createWriteStream('spans.jsonl', {flags: 'a'});
+ *      Task.instrument(Task.JsonLinesExporter(stream, 'user-service'));
+ */
+var JsonLinesExporter = function JsonLinesExporter(stream, serviceName) {
+    var _write = function(span, tags){
+        tags['task.status'] = span.status;
+
+        stream.write(JSON.stringify({
+            traceId: span.traceId,
+            id: span.id,
+            parentId: span.parentId || undefined,
+            name: span.label,
+            timestamp: Math.round(span.start * 1000),
+            duration: Math.round((span.end - span.start) * 1000),
+            localEndpoint: serviceName ? {serviceName: serviceName} : undefined,
+            tags: tags
+        }) + '\n');
+    };
+
+    return {
+        onResolve: function(span){
+            _write(span, {});
+        },
+        onReject: function(span, reason){
+            _write(span, {error: String(reason instanceof Error ? reason.message : reason)});
+        },
+        onCancel: function(span){
+            _write(span, {});
+        }
+    };
+}
+
+module.exports = JsonLinesExporter;
@@ -0,0 +1,285 @@
+var _ = require('lambdash');
+
+// Task.js requires this module after it has exported Task
+var Task = require('./Task');
+
+/**
+ * A long-lived queue of jobs which runs tasks with at most a number of them running at once.
+ *
+ * The options are:
+ *
+ * concurrency: the number of jobs to run at once, 1 by default
+ * maxSize: the number of jobs that may wait to run, no limit by default
+ * timeout: the milliseconds a job may run before it rejects with a Task.TimeoutError, no limit by default
+ *
+ * @example
+ *
+ *      var queue = Task.Queue({concurrency: 4, maxSize: 1000});
+ *
+ *      Task.fork(onRejected, onResized, queue.push(resize(image), {priority: 1}));
+ */
+var Queue = function Queue(options) {
+    if (!(this instanceof Queue)) {
+        return new Queue(options);
+    }
+    options = options || {};
+    this.concurrency = options.concurrency == null ? 1 : options.concurrency;
+    this.maxSize = options.maxSize == null ? Infinity : options.maxSize;
+    this.timeout = options.timeout == null ? null : options.timeout;
+    this.waiting = [];
+    this.active = 0;
+    this.paused = false;
+    this.idle = true;
+    this.starting = false;
+    this.listeners = {drain: [], idle: [], ready: []};
+}
+
+/**
+ * Calls every listener registered for an event.
+ *
+ * @sig Queue -> String -> ()
+ */
+function _emit(queue, event) {
+    queue.listeners[event].forEach(function(listener){
+        listener();
+    });
+}
+
+/**
+ * Registers a listener for an event, returning a function which unregisters it.
+ *
+ * @sig Queue -> String -> (() -> ()) -> (() -> ())
+ */
+function _listen(queue, event, listener) {
+    queue.listeners[event] = queue.listeners[event].concat([listener]);
+
+    return function(){
+        queue.listeners[event] = queue.listeners[event].filter(function(l){
+            return l !== listener;
+        });
+    };
+}
+
+/**
+ * Checks if a job added now could start straight away or wait without going over maxSize.
+ *
+ * @sig Queue -> Boolean
+ */
+function _hasRoom(queue) {
+    return (!queue.paused && queue.active < queue.concurrency) || queue.waiting.length < queue.maxSize;
+}
+
+/**
+ * Starts as many waiting jobs as the queue has room to run.
+ *
+ * @sig Queue -> ()
+ */
+function _next(queue) {
+    // jobs that settle synchronously re-enter here, so loop instead of recursing
+    if (queue.starting) {
+        return;
+    }
+    queue.starting = true;
+    while (!queue.paused && queue.active < queue.concurrency && queue.waiting.length > 0) {
+        queue.active += 1;
+        queue.waiting.shift().start();
+        if (queue.waiting.length === 0) {
+            _emit(queue, 'drain');
+        }
+    }
+    queue.starting = false;
+
+    // let anything waiting for room know there is some
+    if (_hasRoom(queue)) {
+        _emit(queue, 'ready');
+    }
+
+    if (!queue.idle && queue.active === 0 && queue.waiting.length === 0) {
+        queue.idle = true;
+        _emit(queue, 'idle');
+    }
+}
+
+/**
+ * Creates a task which adds a job to the queue when it is forked and settles with the job's outcome.
+ *
+ * Jobs with a higher priority run first, and jobs with the same priority run in the order they were added.
+ * The options are priority, 0 by default, and timeout, which overrides the queue's timeout.
+ *
+ * If the job cannot start straight away and the queue already has maxSize jobs waiting,
+ * the task rejects with a Task.QueueFullError.
+ * Cancelling the task removes the job from the queue, or cancels it if it is running.
+ * If the queue is cleared while the job is waiting, the task rejects with a Task.CancellationError.
+ *
+ * @sig Task a b -> {priority: Number, timeout: Number} -> Task (a|QueueFullError|TimeoutError|CancellationError) b
+ */
+Queue.prototype.push = function(task, options){
+    var queue = this;
+    options = options || {};
+    var priority = options.priority || 0;
+    var timeout = options.timeout == null ? queue.timeout : options.timeout;
+    var job = timeout == null ? task : Task.timeoutWith(Task.TimeoutError, timeout, task);
+
+    return Task(function(reject, resolve){
+        if (!_hasRoom(queue)) {
+            reject(Task.QueueFullError(queue.maxSize));
+            return;
+        }
+
+        var running = false;
+        var cancel = _.noop;
+
+        var _done = function(fn){
+            return function(value){
+                running = false;
+                queue.active -= 1;
+                fn(value);
+                _next(queue);
+            };
+        };
+
+        var entry = {
+            priority: priority,
+            clear: function(){
+                reject(Task.CancellationError());
+            },
+            start: function(){
+                running = true;
+                var _cancel = Task.fork(_done(reject), _done(resolve), job);
+                // the job may have settled synchronously
+                if (running) {
+                    cancel = _cancel;
+                }
+            }
+        };
+
+        // after the last job with the same or a higher priority
+        var index = queue.waiting.length;
+        while (index > 0 && queue.waiting[index - 1].priority < priority) {
+            index -= 1;
+        }
+        queue.waiting.splice(index, 0, entry);
+        queue.idle = false;
+        _next(queue);
+
+        return function(){
+            var waiting = queue.waiting.indexOf(entry);
+            if (waiting !== -1) {
+                queue.waiting.splice(waiting, 1);
+                _next(queue);
+            } else if (running) {
+                running = false;
+                queue.active -= 1;
+                cancel();
+                _next(queue);
+            }
+        };
+    });
+};
+
+/**
+ * Stops the queue from starting jobs. Running jobs carry on.
+ *
+ * @sig () -> ()
+ */
+Queue.prototype.pause = function(){
+    this.paused = true;
+};
+
+/**
+ * Lets a paused queue start jobs again.
+ *
+ * @sig () -> ()
+ */
+Queue.prototype.resume = function(){
+    this.paused = false;
+    _next(this);
+};
+
+/**
+ * Checks if the queue is paused.
+ *
+ * @sig () -> Boolean
+ */
+Queue.prototype.isPaused = function(){
+    return this.paused;
+};
+
+/**
+ * Removes every waiting job, rejecting their tasks with a Task.CancellationError.
+ * Running jobs carry on.
+ *
+ * @sig () -> ()
+ */
+Queue.prototype.clear = function(){
+    var cleared = this.waiting;
+    this.waiting = [];
+    cleared.forEach(function(entry){
+        entry.clear();
+    });
+    _next(this);
+};
+
+/**
+ * The number of jobs waiting to run.
+ *
+ * @sig () -> Number
+ */
+Queue.prototype.size = function(){
+    return this.waiting.length;
+};
+
+/**
+ * The number of jobs running.
+ *
+ * @sig () -> Number
+ */
+Queue.prototype.running = function(){
+    return this.active;
+};
+
+/**
+ * Creates a task which resolves once the queue has room for another job.
+ *
+ * Chaining pushes onto it keeps producers from overflowing the queue.
+ *
+ * @sig () -> Task a ()
+ */
+Queue.prototype.ready = function(){
+    var queue = this;
+
+    return Task(function(reject, resolve){
+        if (_hasRoom(queue)) {
+            resolve();
+            return;
+        }
+
+        var stop = _listen(queue, 'ready', function(){
+            stop();
+            resolve();
+        });
+        return stop;
+    });
+};
+
+/**
+ * Registers a function which is called each time the last waiting job starts.
+ * Returns a function which unregisters it.
+ *
+ * @sig (() -> ()) -> (() -> ())
+ */
+Queue.prototype.onDrain = function(listener){
+    return _listen(this, 'drain', listener);
+};
+
+/**
+ * Registers a function which is called each time the queue has no jobs left waiting or running.
+ * Returns a function which unregisters it.
+ *
+ * @sig (() -> ()) -> (() -> ())
+ */
+Queue.prototype.onIdle = function(listener){
+    return _listen(this, 'idle', listener);
+};
+
+module.exports = Queue;
@@ -0,0 +1,17 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var QueueFullError = function QueueFullError(maxSize, extra) {
+    if (!(this instanceof QueueFullError)) {
+        return new QueueFullError(maxSize, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = QueueFullError.name;
+    this.message = "Queue is full with " + maxSize + ' waiting jobs';
+    this.maxSize = maxSize;
+    this.cause = null;
+    this.extra = extra || {};
+}
+QueueFullError.prototype = Object.create(Error.prototype);
+QueueFullError.prototype.constructor = QueueFullError;
+
+module.exports = QueueFullError;
@@ -0,0 +1,17 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var RateLimitError = function RateLimitError(maxQueue, extra) {
+    if (!(this instanceof RateLimitError)) {
+        return new RateLimitError(maxQueue, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = RateLimitError.name;
+    this.message = "Rate limiter queue is full with " + maxQueue + ' waiting tasks';
+    this.maxQueue = maxQueue;
+    this.cause = null;
+    this.extra = extra || {};
+}
+RateLimitError.prototype = Object.create(Error.prototype);
+RateLimitError.prototype.constructor = RateLimitError;
+
+module.exports = RateLimitError;
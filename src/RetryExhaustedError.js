@@ -0,0 +1,17 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var RetryExhaustedError = function RetryExhaustedError(reasons, extra) {
+    if (!(this instanceof RetryExhaustedError)) {
+        return new RetryExhaustedError(reasons, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = RetryExhaustedError.name;
+    this.message = "Task failed after " + reasons.length + ' attempts';
+    this.reasons = reasons;
+    this.cause = reasons.length > 0 ? reasons[reasons.length - 1] : null;
+    this.extra = extra || {};
+}
+RetryExhaustedError.prototype = Object.create(Error.prototype);
+RetryExhaustedError.prototype.constructor = RetryExhaustedError;
+
+module.exports = RetryExhaustedError;
@@ -0,0 +1,86 @@
+var _ = require('lambdash');
+
+/**
+ * Policies used by Task.retry to decide if and when a rejected task runs again.
+ *
+ * A policy is a function which accepts the number of attempts made so far,
+ * the most recent rejected value and the milliseconds elapsed since the first attempt.
+ * It returns the number of milliseconds to wait before the next attempt,
+ * or null to stop retrying.
+ *
+ * @sig Number -> a -> Number -> Number|null
+ */
+var RetryPolicy = {};
+
+/**
+ * Always waits the same amount of time between attempts.
+ *
+ * @sig Number -> RetryPolicy a
+ */
+RetryPolicy.fixed = _.curry(function(delay){
+    return function(attempt, reason, elapsed){
+        return delay;
+    };
+});
+
+/**
+ * Multiplies the wait by a factor after every attempt, starting with the initial wait.
+ *
+ * @sig Number -> Number -> RetryPolicy a
+ */
+RetryPolicy.exponential = _.curry(function(initial, factor){
+    return function(attempt, reason, elapsed){
+        return initial * Math.pow(factor, attempt - 1);
+    };
+});
+
+/**
+ * Randomizes the wait of another policy to anywhere between zero and the original wait.
+ *
+ * This keeps many clients that failed together from retrying together.
+ *
+ * @sig RetryPolicy a -> RetryPolicy a
+ */
+RetryPolicy.jitter = _.curry(function(policy){
+    return function(attempt, reason, elapsed){
+        var delay = policy(attempt, reason, elapsed);
+        return delay == null ? null : Math.floor(Math.random() * delay);
+    };
+});
+
+/**
+ * Stops retrying once a task has been attempted a number of times in total.
+ *
+ * @sig Number -> RetryPolicy a -> RetryPolicy a
+ */
+RetryPolicy.maxAttempts = _.curry(function(attempts, policy){
+    return function(attempt, reason, elapsed){
+        return attempt >= attempts ? null : policy(attempt, reason, elapsed);
+    };
+});
+
+/**
+ * Stops retrying if the next attempt would start after a number of milliseconds
+ * since the first attempt.
+ *
+ * @sig Number -> RetryPolicy a -> RetryPolicy a
+ */
+RetryPolicy.maxTime = _.curry(function(time, policy){
+    return function(attempt, reason, elapsed){
+        var delay = policy(attempt, reason, elapsed);
+        return delay == null || elapsed + delay > time ? null : delay;
+    };
+});
+
+/**
+ * Only retries if the rejected value passes a predicate.
+ *
+ * @sig (a -> Boolean) -> RetryPolicy a -> RetryPolicy a
+ */
+RetryPolicy.when = _.curry(function(cond, policy){
+    return function(attempt, reason, elapsed){
+        return cond(reason) ? policy(attempt, reason, elapsed) : null;
+    };
+});
+
+module.exports = RetryPolicy;
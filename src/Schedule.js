@@ -0,0 +1,95 @@
+var _ = require('lambdash');
+
+var RetryPolicy = require('./RetryPolicy');
+
+/**
+ * Schedules used by Task.repeat to decide if and when a resolved task runs again.
+ *
+ * A schedule is a function which accepts the number of runs made so far,
+ * the most recent resolved value, the milliseconds elapsed since the first run started
+ * and the current time from the scheduler.
+ * It returns the number of milliseconds to wait before the next run,
+ * or null to stop repeating.
+ *
+ * Any Task.RetryPolicy is also a schedule.
+ *
+ * @sig Number -> b -> Number -> Number -> Number|null
+ */
+var Schedule = {};
+
+/**
+ * Always waits the same amount of time between runs, forever.
+ *
+ * @sig Number -> Schedule b
+ */
+Schedule.spaced = _.curry(function(delay){
+    return function(runs, value, elapsed, now){
+        return delay;
+    };
+});
+
+/**
+ * Multiplies the wait by a factor after every run, starting with the initial wait.
+ *
+ * This is Task.RetryPolicy.exponential.
+ *
+ * @sig Number -> Number -> Schedule b
+ */
+Schedule.exponential = RetryPolicy.exponential;
+
+/**
+ * Runs a task a number of times in total without waiting in between.
+ *
+ * Intersect it with another schedule to limit how many times that one runs.
+ *
+ * @sig Number -> Schedule b
+ */
+Schedule.times = _.curry(function(count){
+    return function(runs, value, elapsed, now){
+        return runs < count ? 0 : null;
+    };
+});
+
+/**
+ * Runs a task again without waiting until a time, given as a Date or as milliseconds from the scheduler's clock.
+ *
+ * Intersect it with another schedule to stop that one at the time.
+ *
+ * @sig (Date|Number) -> Schedule b
+ */
+Schedule.untilTime = _.curry(function(time){
+    var until = +time;
+    return function(runs, value, elapsed, now){
+        return now < until ? 0 : null;
+    };
+});
+
+/**
+ * Repeats while either schedule does, waiting the shorter of their waits.
+ *
+ * @sig Schedule b -> Schedule b -> Schedule b
+ */
+Schedule.union = _.curry(function(left, right){
+    return function(runs, value, elapsed, now){
+        var l = left(runs, value, elapsed, now);
+        var r = right(runs, value, elapsed, now);
+        return l == null ? r
+            : r == null ? l
+            : Math.min(l, r);
+    };
+});
+
+/**
+ * Repeats while both schedules do, waiting the longer of their waits.
+ *
+ * @sig Schedule b -> Schedule b -> Schedule b
+ */
+Schedule.intersection = _.curry(function(left, right){
+    return function(runs, value, elapsed, now){
+        var l = left(runs, value, elapsed, now);
+        var r = right(runs, value, elapsed, now);
+        return l == null || r == null ? null : Math.max(l, r);
+    };
+});
+
+module.exports = Schedule;
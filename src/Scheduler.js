@@ -0,0 +1,44 @@
+var _ = require('lambdash');
+
+var immediate = _.Fun.member(setImmediate) ? setImmediate
+    : process && _.Fun.member(process.nextTick) ? process.nextTick
+    : setTimeout;
+
+/**
+ * The scheduler used by tasks that wait, backed by the real clock and timers.
+ *
+ * A scheduler is an object with the following functions:
+ *
+ * now :: () -> Number
+ *      the current time in milliseconds
+ * delay :: Number -> (() -> ()) -> (() -> ())
+ *      calls a function after a number of milliseconds, returning a function which cancels it
+ * immediate :: (() -> ()) -> (() -> ())
+ *      calls a function as soon as possible without blocking, returning a function which cancels it
+ */
+var Scheduler = {
+    now: function(){
+        return Date.now();
+    },
+
+    delay: function(ms, fn){
+        var timer = setTimeout(fn, ms);
+        return function(){
+            clearTimeout(timer);
+        };
+    },
+
+    immediate: function(fn){
+        var cancelled = false;
+        immediate(function(){
+            if (!cancelled) {
+                fn();
+            }
+        });
+        return function(){
+            cancelled = true;
+        };
+    }
+};
+
+module.exports = Scheduler;
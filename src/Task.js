@@ -1,12 +1,732 @@
 var _ = require('lambdash');
+var captureStackTrace = require('capture-stack-trace');
+var Either = require('lambdash.either');
+var Maybe = require('lambdash.maybe');
 
-Task = _.Type.product('Task', {exec: _.Fun});
+// the function strict mode reports violations to, or null when strict mode is off
+var strict = null;
+// whether rejected errors get the construction sites of the tasks they passed through
+var longStacks = false;
+// the most construction sites added to a single error
+var maxSites = 10;
+// the stack frames where each task was constructed while either mode was on, keyed by exec function
+var constructedAt = new WeakMap();
+// the original stack and the construction sites added to each error, keyed by error
+var stitched = new WeakMap();
+
+/**
+ * The type of a task's exec function.
+ *
+ * Every task is checked against this when it is constructed,
+ * which lets strict mode and long stack traces record where the task came from.
+ */
+var Exec = {
+    name: 'Exec',
+    member: function(exec) {
+        if ((strict != null || longStacks) && _.Fun.member(exec)) {
+            constructedAt.set(exec, _site());
+        }
+        return _.Fun.member(exec);
+    }
+};
+
+/**
+ * Captures the stack frames of the code which is constructing a task.
+ *
+ * Frames from this library, from lambdash and from native code are left out.
+ *
+ * @sig () -> String
+ */
+function _site() {
+    var limit = Error.stackTraceLimit;
+    var site = {};
+
+    // curried calls add a lot of frames between the caller and the constructor
+    Error.stackTraceLimit = 50;
+    captureStackTrace(site, _site);
+    Error.stackTraceLimit = limit;
+
+    return String(site.stack).split('\n').slice(1).filter(function(frame){
+        return frame.indexOf(__dirname) === -1
+            && !/[\\/]lambdash[\\/]/.test(frame)
+            && frame.indexOf('(<anonymous>)') === -1;
+    }).join('\n');
+}
+
+/**
+ * Adds the construction site of a task to the stack of an error it rejected with.
+ *
+ * @sig Error -> Task a b -> ()
+ */
+function _stitch(err, task) {
+    var site = constructedAt.get(task.exec);
+    if (!site) {
+        return;
+    }
+
+    var record = stitched.get(err);
+    if (record == null) {
+        record = {stack: err.stack, sites: []};
+        stitched.set(err, record);
+    }
+
+    if (record.sites.length >= maxSites || record.sites[record.sites.length - 1] === site) {
+        return;
+    }
+
+    record.sites.push(site);
+    err.asyncStack = record.sites.join('\n    --- task ---\n');
+    try {
+        err.stack = record.stack + '\nFrom the tasks constructed at:\n' + err.asyncStack;
+    } catch (e) {
+        // the stack cannot be changed, but asyncStack is still there
+    }
+}
+
+Task = _.Type.product('Task', {exec: Exec});
 Task.TimeoutError = require('./TimeoutError');
+Task.RetryExhaustedError = require('./RetryExhaustedError');
+Task.CancellationError = require('./CancellationError');
+Task.AggregateError = require('./AggregateError');
+Task.TaskDefectError = require('./TaskDefectError');
+Task.RateLimitError = require('./RateLimitError');
+Task.CircuitOpenError = require('./CircuitOpenError');
+Task.QueueFullError = require('./QueueFullError');
+Task.RetryPolicy = require('./RetryPolicy');
+Task.Schedule = require('./Schedule');
+Task.Scheduler = require('./Scheduler');
+Task.TestScheduler = require('./TestScheduler');
+Task.JsonLinesExporter = require('./JsonLinesExporter');
+
+// the scheduler used by every task that waits
+var scheduler = Task.Scheduler;
+
+// the instrumentation hooks registered with Task.instrument
+var hooks = [];
+// the span of the labelled task whose work is currently running, if any
+var current = null;
+// the time by which the work currently running must finish, set by Task.withDeadline, if any
+var deadline = null;
+
+// how deeply runs may nest on the stack before they are queued instead
+var maxDepth = 100;
+var depth = 0;
+var queue = [];
+// the reject function of the Task.caught whose task is running, which queued work passes its throws to
+var catcher = null;
+
+/**
+ * Calls a function directly unless too many runs are already nested on the stack.
+ *
+ * Once the limit is reached the function is queued, and the outermost call
+ * runs the queue after its own function returns.
+ * Long synchronous chains of tasks therefore use a bounded amount of stack,
+ * while still running to completion before the outermost fork returns.
+ *
+ * Queued functions remember the Task.caught they were queued within,
+ * because they run after its try block has returned.
+ *
+ * @sig (() -> ()) -> ()
+ */
+function _trampoline(fn) {
+    if (depth >= maxDepth) {
+        queue.push({fn: fn, catcher: catcher});
+        return;
+    }
+
+    depth += 1;
+    try {
+        fn();
+    } finally {
+        depth -= 1;
+        if (depth === 0) {
+            _drain();
+        }
+    }
+}
+
+/**
+ * Runs the functions queued by _trampoline.
+ *
+ * A function which throws rejects the Task.caught it was queued within.
+ * Without one, the throw escapes as it would have without the queue,
+ * and the rest of the queue is dropped so that it cannot run during a later fork.
+ *
+ * @sig () -> ()
+ */
+function _drain() {
+    var index = 0;
+    var outer = catcher;
+    depth += 1;
+    try {
+        while (index < queue.length) {
+            catcher = queue[index].catcher;
+            try {
+                queue[index].fn();
+            } catch (e) {
+                if (catcher == null) {
+                    throw e;
+                }
+                catcher(e);
+            }
+            index += 1;
+        }
+    } finally {
+        queue.splice(0, queue.length);
+        catcher = outer;
+        depth -= 1;
+    }
+}
+
+/**
+ * Calls a function with a trampoline of its own.
+ *
+ * A fork made while many runs are already nested would otherwise queue its work behind theirs,
+ * and return before a synchronous task has settled.
+ *
+ * @sig (() -> a) -> a
+ */
+function _scoped(fn) {
+    var outerDepth = depth;
+    var outerQueue = queue;
+    depth = 0;
+    queue = [];
+    try {
+        return fn();
+    } finally {
+        depth = outerDepth;
+        queue = outerQueue;
+    }
+}
+
+/**
+ * Reports a task which broke its contract to strict mode.
+ *
+ * @sig String -> Task a b -> * -> ()
+ */
+function _violation(message, task, cause) {
+    if (strict == null) {
+        return;
+    }
+
+    var err = new Error(message);
+    err.task = task;
+    err.cause = cause;
+    err.constructedAt = constructedAt.get(task.exec);
+    strict(err);
+}
+
+/**
+ * Reports a strict mode violation with a warning on the console.
+ *
+ * @sig Error -> ()
+ */
+function _warn(err) {
+    console.warn(err.stack + (err.constructedAt ? '\nTask constructed at:\n' + err.constructedAt : ''));
+}
+
+/**
+ * Captures the context that work is running in: the current span and deadline.
+ *
+ * @sig () -> {span: Span, deadline: Number}
+ */
+function _context() {
+    return {span: current, deadline: deadline};
+}
+
+/**
+ * Calls a function within a context, restoring the previous context afterwards.
+ *
+ * @sig {span: Span, deadline: Number} -> (a -> b) -> a -> b
+ */
+function _within(context, fn, value) {
+    var previousSpan = current;
+    var previousDeadline = deadline;
+    current = context.span;
+    deadline = context.deadline;
+    try {
+        return fn(value);
+    } finally {
+        current = previousSpan;
+        deadline = previousDeadline;
+    }
+}
+
+/**
+ * Wraps a function so that it runs within the context that is current now.
+ *
+ * Used for functions that are called later by the scheduler.
+ *
+ * @sig (() -> a) -> (() -> a)
+ */
+function _bind(fn) {
+    var context = _context();
+    return function(){
+        return _within(context, fn);
+    };
+}
+
+/**
+ * Passes an event to every registered instrumentation hook that handles it.
+ *
+ * @sig String -> Span -> * -> ()
+ */
+function _emit(event, span, value) {
+    hooks.forEach(function(hook){
+        if (_.Fun.member(hook[event])) {
+            hook[event](span, value);
+        }
+    });
+}
+
+/**
+ * Creates a random hexadecimal id of a number of bytes.
+ *
+ * @sig Number -> String
+ */
+function _id(bytes) {
+    var id = '';
+    for (var i = 0; i < bytes; i++) {
+        id += (0x100 + Math.floor(Math.random() * 0x100)).toString(16).slice(1);
+    }
+    return id;
+}
+
+/**
+ * Executes a task, returning a function that cancels it.
+ *
+ * A task's exec function may return a function which cancels the work it started.
+ * The returned canceller calls it at most once and stops the callbacks
+ * from being called after cancellation, even if the task ignores it.
+ *
+ * Only the first time the task settles is passed on to the callbacks.
+ * Settling again, or settling after being cancelled, is reported to strict mode.
+ *
+ * The exec function and the callbacks are called through _trampoline,
+ * within the span and deadline that were current when the task was run.
+ *
+ * @sig Task a b -> (a -> ()) -> (b -> ()) -> (() -> ())
+ */
+function _run(task, reject, resolve) {
+    var context = _context();
+    var cancelled = false;
+    var settled = false;
+    var cancel;
+
+    var _settle = function(fn, rejected){
+        return function(value){
+            if (settled) {
+                _violation('Task settled more than once', task, value);
+            } else if (cancelled && _.Fun.member(cancel)) {
+                _violation('Task settled after it was cancelled', task, value);
+            }
+
+            if (settled || cancelled) {
+                settled = true;
+                return;
+            }
+
+            settled = true;
+            if (rejected && longStacks && value instanceof Error) {
+                _stitch(value, task);
+            }
+            _trampoline(function(){
+                if (!cancelled) {
+                    _within(context, fn, value);
+                }
+            });
+        };
+    };
+
+    _trampoline(function(){
+        if (cancelled) {
+            return;
+        }
+
+        _within(context, function(){
+            try {
+                cancel = task.exec(_settle(reject, true), _settle(resolve, false));
+            } catch (e) {
+                if (settled) {
+                    _violation('Task threw after it settled', task, e);
+                }
+                throw e;
+            }
+        });
+
+        // the task may have been cancelled while its exec was running
+        if (cancelled && !settled && _.Fun.member(cancel)) {
+            cancel();
+        }
+    });
+
+    return function(){
+        if (!cancelled) {
+            cancelled = true;
+            if (!settled && _.Fun.member(cancel)) {
+                cancel();
+            }
+        }
+    };
+}
+
+/**
+ * Collects the values of a Foldable into an array.
+ *
+ * @sig Foldable s => s a -> [a]
+ */
+function _toArray(foldable) {
+    return _.foldl(function(accum, value){
+        accum.push(value);
+        return accum;
+    }, [], foldable);
+}
+
+/**
+ * Builds a collection of the type a module describes from an array.
+ *
+ * The values are concatenated in halves so that large arrays are not copied once per value.
+ *
+ * @sig (Monoid s, Applicative s) => Module s -> [a] -> s a
+ */
+function _fromArray(M, values) {
+    var _build = function(start, end){
+        if (start === end) {
+            return M.empty();
+        }
+        if (end - start === 1) {
+            return M.of(values[start]);
+        }
+        var middle = Math.floor((start + end) / 2);
+        return _.concat(_build(start, middle), _build(middle, end));
+    };
+
+    return _build(0, values.length);
+}
+
+/**
+ * Throws a TypeError unless n can limit how many tasks run at once.
+ *
+ * @sig Number -> ()
+ */
+function _checkLimit(n) {
+    if (typeof n !== 'number' || !(n > 0) || (n !== Infinity && Math.floor(n) !== n)) {
+        throw new TypeError('Expected the limit to be a positive integer or Infinity, got ' + n);
+    }
+}
+
+/**
+ * Runs a list of tasks with at most n running at once.
+ *
+ * Each settled value is passed to the matching callback along with the task's index.
+ * If a callback returns true, no more tasks are started and the running ones are cancelled.
+ *
+ * @sig Number -> [Task a b] -> (a -> Number -> Boolean) -> (b -> Number -> Boolean) -> (() -> ())
+ */
+function _runLimit(n, tasks, reject, resolve) {
+    var next = 0;
+    var running = 0;
+    var starting = false;
+    var stopped = false;
+    var cancels = [];
+
+    var _stop = function(){
+        stopped = true;
+        _cancelAll(cancels)();
+    };
+
+    var _settle = function(fn, index){
+        return function(value){
+            running -= 1;
+            if (fn(value, index)) {
+                _stop();
+            } else {
+                _start();
+            }
+        };
+    };
+
+    var _start = function(){
+        // tasks that settle synchronously re-enter here, so loop instead of recursing
+        if (starting) {
+            return;
+        }
+        starting = true;
+        while (!stopped && running < n && next < tasks.length) {
+            running += 1;
+            cancels.push(_run(tasks[next], _settle(reject, next), _settle(resolve, next)));
+            next += 1;
+        }
+        starting = false;
+    };
+
+    _start();
+
+    return _stop;
+}
+
+/**
+ * Checks if a value is a record that Task.props looks into: a Map or a plain object.
+ *
+ * @sig * -> Boolean
+ */
+function _isRecord(value) {
+    if (value instanceof Map) {
+        return true;
+    }
+    if (value == null || typeof value !== 'object' || Task.member(value)) {
+        return false;
+    }
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Collects the tasks in a record, and in the records nested in it, along with the path of keys to each.
+ *
+ * Values which are neither tasks nor records are collected as resolved tasks.
+ *
+ * @sig {k: *} -> [k] -> [{path: [k], task: Task a b}] -> [{path: [k], task: Task a b}]
+ */
+function _leaves(record, path, leaves) {
+    var _visit = function(value, key){
+        var at = path.concat([key]);
+        if (_isRecord(value)) {
+            _leaves(value, at, leaves);
+        } else {
+            leaves.push({path: at, task: Task.member(value) ? value : Task.of(value)});
+        }
+    };
+
+    if (record instanceof Map) {
+        record.forEach(_visit);
+    } else {
+        Object.keys(record).forEach(function(key){
+            _visit(record[key], key);
+        });
+    }
+    return leaves;
+}
+
+/**
+ * Builds a record with the same shape as another from the resolved values of its tasks,
+ * taken in the order _leaves collected them.
+ *
+ * @sig {k: *} -> [b] -> {next: Number} -> {k: b}
+ */
+function _rebuild(record, values, position) {
+    var _value = function(value){
+        return _isRecord(value) ? _rebuild(value, values, position) : values[position.next++];
+    };
+
+    if (record instanceof Map) {
+        var map = new Map();
+        record.forEach(function(value, key){
+            map.set(key, _value(value));
+        });
+        return map;
+    }
+
+    var result = Object.getPrototypeOf(record) === null ? Object.create(null) : {};
+    Object.keys(record).forEach(function(key){
+        result[key] = _value(record[key]);
+    });
+    return result;
+}
+
+/**
+ * Runs the tasks in a record with at most n running at once.
+ *
+ * @sig Number -> {k: Task a b} -> Task {path: [k], reason: a} {k: b}
+ */
+function _props(n, record) {
+    var leaves = _leaves(record, [], []);
+    var tasks = leaves.map(function(leaf){
+        return leaf.task;
+    });
+
+    return Task(function(reject, resolve){
+        var completed = 0;
+        var results = [];
+
+        if (tasks.length === 0) {
+            resolve(_rebuild(record, results, {next: 0}));
+            return;
+        }
+
+        return _runLimit(n, tasks, function(reason, index){
+            reject({path: leaves[index].path, reason: reason});
+            return true;
+        }, function(value, index){
+            results[index] = value;
+            completed += 1;
+            if (completed === tasks.length) {
+                resolve(_rebuild(record, results, {next: 0}));
+            }
+            return false;
+        });
+    });
+}
+
+/**
+ * Creates a task which runs a task again each time it resolves, for as long as a schedule says,
+ * and resolves with every resolved value collected in a monoid.
+ *
+ * The control object is told how to stop the task early with its watch function,
+ * which returns a function that stops watching. A stopped task resolves with the values
+ * collected so far once the run in progress, if any, has resolved.
+ *
+ * @sig (Monoid m, Applicative m) => Module m -> Schedule b -> Task a b -> {stopped: Boolean, watch: (() -> ()) -> (() -> ())} -> Task a (m b)
+ */
+function _repeat(M, schedule, task, control) {
+    return Task(function(reject, resolve){
+        var start = scheduler.now();
+        var results = [];
+        var stopping = false;
+        var waiting = false;
+        var cancelRun = _.noop;
+        var cancelWait = _.noop;
+        var unwatch = _.noop;
+
+        var _resolve = function(){
+            unwatch();
+            resolve(_fromArray(M, results));
+        };
+
+        var _reject = function(reason){
+            unwatch();
+            reject(reason);
+        };
+
+        var _next = function(){
+            waiting = false;
+            cancelRun = _run(task, _reject, function(value){
+                results.push(value);
+                var now = scheduler.now();
+                var wait = stopping ? null : schedule(results.length, value, now - start, now);
+
+                if (wait == null) {
+                    _resolve();
+                } else {
+                    waiting = true;
+                    cancelWait = scheduler.delay(wait, _bind(_next));
+                }
+            });
+        };
+
+        if (control.stopped) {
+            resolve(M.empty());
+            return;
+        }
+
+        unwatch = control.watch(function(){
+            stopping = true;
+            if (waiting) {
+                waiting = false;
+                cancelWait();
+                _resolve();
+            }
+        });
+        _next();
+
+        return function(){
+            unwatch();
+            cancelWait();
+            cancelRun();
+        };
+    });
+}
+
+/**
+ * Creates a task which switches to a fallback task if another task takes too long.
+ *
+ * Within Task.withDeadline, the time is cut down to what is left before the deadline.
+ * On timeout, the task is cancelled and the task the fallback function returns
+ * for the time that was allowed is run instead.
+ *
+ * @sig Number -> (Number -> Task a b) -> Task a b -> Task a b
+ */
+function _timeout(time, fallback, task) {
+    return Task(function(reject, resolve){
+        var allowed = deadline == null ? time : Math.max(0, Math.min(time, deadline - scheduler.now()));
+        var timeout = null;
+        var cancel = _.noop;
+        var cancelFallback = _.noop;
+        var _reject = function(reason){
+            if (timeout != null) {
+                timeout();
+                reject(reason);
+            }
+        }
+        var _resolve = function(value){
+            if (timeout != null) {
+                timeout();
+                resolve(value);
+            }
+        }
+
+        timeout = scheduler.delay(allowed, _bind(function(){
+            timeout = null;
+            cancel();
+            cancelFallback = _run(fallback(allowed), reject, resolve);
+        }));
+        cancel = _run(task, _reject, _resolve);
+
+        return function(){
+            if (timeout != null) {
+                timeout();
+                timeout = null;
+            }
+            cancel();
+            cancelFallback();
+        };
+    });
+}
+
+/**
+ * Creates a task by applying a function, rejecting if the function or the task's exec throws.
+ *
+ * @sig (a -> Task c b) -> a -> Task c b
+ */
+function _attempt(fn, value) {
+    try {
+        return Task.caught(fn(value));
+    } catch (e) {
+        return Task.reject(e);
+    }
+}
 
+/**
+ * Wraps a callback so that an exception it throws rejects with a Task.TaskDefectError
+ * instead of escaping, and passes its result on otherwise.
+ *
+ * @sig (a -> c) -> (Error -> ()) -> (c -> ()) -> (a -> ())
+ */
+function _guard(fn, reject, next) {
+    return function(value){
+        var result;
+        try {
+            result = fn(value);
+        } catch (e) {
+            reject(Task.TaskDefectError(e));
+            return;
+        }
+        next(result);
+    };
+}
 
-var immediate = _.Fun.member(setImmediate) ? setImmediate
-    : process && _.Fun.member(process.nextTick) ? process.nextTick
-    : setTimeout;
+/**
+ * Creates a function which calls every canceller in a list.
+ *
+ * @sig [() -> ()] -> (() -> ())
+ */
+function _cancelAll(cancels) {
+    return function(){
+        cancels.forEach(function(cancel){
+            cancel();
+        });
+    };
+}
 
 /**
  * Creates a task that resolves to a given value
@@ -38,20 +758,24 @@ Task.reject = _.curry(function(value){
 });
 
 /**
+ * If the function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig (b -> d) -> Task a b -> Task a d
  */
 Task.map = _.curry(function(fn, task){
     return Task(function(reject, resolve){
-        task.exec(reject, _.compose(resolve, fn));
+        return _run(task, reject, _guard(fn, reject, resolve));
     });
 });
 
 /**
+ * If the function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig (a -> c) -> Task a b -> task c b
  */
 Task.mapRejected = _.curry(function(fn, task){
     return Task(function(reject, resolve){
-        task.exec(_.compose(reject, fn), resolve);
+        return _run(task, _guard(fn, reject, reject), resolve);
     });
 });
 
@@ -63,6 +787,7 @@ Task.mapRejected = _.curry(function(fn, task){
  * The first parameter is a predicate to test if the recovery should happen.
  * If the predicate returns true, the task will resolve with the result of
  * executing the transform function with the rejected value.
+ * If the predicate or the transform throws, the task rejects with a Task.TaskDefectError.
  *
  * @sig (a -> Boolean) -> (a -> b) -> Task a b -> Task a b
  * @since 0.5.0
@@ -87,14 +812,17 @@ Task.mapRejected = _.curry(function(fn, task){
  */
 Task.recover = _.curry(function(cond, transform, task){
     return Task(function(reject, resolve){
+        var _transform = _guard(transform, reject, resolve);
         var _recover = function(value) {
-            if (cond(value)) {
-                resolve(transform(value));
-            } else {
-                reject(value);
-            }
+            _guard(cond, reject, function(passed){
+                if (passed) {
+                    _transform(value);
+                } else {
+                    reject(value);
+                }
+            })(value);
         };
-        task.exec(_recover, resolve);
+        return _run(task, _recover, resolve);
     });
 });
 
@@ -110,11 +838,17 @@ Task.alwaysRecover = Task.recover(_.T);
  */
 Task.concatSeries = _.curry(function(left, right){
     return Task(function(reject, resolve){
-        left.exec(reject, function(l){
-            right.exec(reject, function(r){
+        var cancelRight = _.noop;
+        var cancelLeft = _run(left, reject, function(l){
+            cancelRight = _run(right, reject, function(r){
                 resolve(_.concat(l,r));
             });
         });
+
+        return function(){
+            cancelLeft();
+            cancelRight();
+        };
     });
 });
 
@@ -128,14 +862,22 @@ Task.concatParallel = _.curry(function(left, right) {
         var lRet = false;
         var rRet = false;
         var rejected = false;
+        var cancelLeft = _.noop;
+        var cancelRight = _.noop;
+        function _cancel(){
+            cancelLeft();
+            cancelRight();
+        }
         function _rej(r){
             if (!rejected){
                 rejected = true;
+                // the other branch can no longer affect the outcome
+                _cancel();
                 reject(r);
             }
         }
 
-        left.exec(_rej, function(result){
+        cancelLeft = _run(left, _rej, function(result){
             l = result;
             lRet = true;
             if (rRet) {
@@ -143,14 +885,19 @@ Task.concatParallel = _.curry(function(left, right) {
             }
         });
 
-        right.exec(_rej, function(result){
+        if (rejected) {
+            return _.noop;
+        }
+
+        cancelRight = _run(right, _rej, function(result){
             r = result;
             rRet = true;
             if (lRet) {
                 resolve(_.concat(l, r));
             }
-        })
+        });
 
+        return _cancel;
     });
 });
 
@@ -163,15 +910,21 @@ Task.concat = Task.concatParallel;
 /**
  * Creates a task that applies the resolved value of one task to the value of another task.
  *
+ * If the function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig Task a (b -> d) -> Task a b -> Task a d
  */
 Task.ap = _.curry(function(apply, task) {
     return Task(function(reject, resolve) {
-        apply.exec(reject, function(fnResult){
-            task.exec(reject, function(result){
-                resolve(fnResult(result));
-            });
+        var cancelTask = _.noop;
+        var cancelApply = _run(apply, reject, function(fnResult){
+            cancelTask = _run(task, reject, _guard(fnResult, reject, resolve));
         });
+
+        return function(){
+            cancelApply();
+            cancelTask();
+        };
     });
 });
 
@@ -182,68 +935,248 @@ Task.ap = _.curry(function(apply, task) {
  */
 Task.flatten = _.curry(function(task) {
     return Task(function(reject, resolve){
-        task.exec(reject, function(result){
-            result.exec(reject, resolve);
+        var cancelResult = _.noop;
+        var cancelTask = _run(task, reject, function(result){
+            cancelResult = _run(result, reject, resolve);
         });
+
+        return function(){
+            cancelTask();
+            cancelResult();
+        };
     });
 });
 
 /**
  * Monadically flatMaps a tasks resolved value.
  *
+ * If the function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig (b -> Task a d) -> Task a b -> Task a d
  */
 Task.chain = _.curry(function(fn, task){
     return Task(function(reject, resolve){
-        task.exec(reject, function(result){
-            fn(result).exec(reject, resolve);
-        });
+        var cancelNext = _.noop;
+        var cancelTask = _run(task, reject, _guard(fn, reject, function(next){
+            cancelNext = _run(next, reject, resolve);
+        }));
+
+        return function(){
+            cancelTask();
+            cancelNext();
+        };
     });
 });
 
 /**
  * Monadically flatMaps a tasks rejected value.
  *
+ * If the function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig (b -> Task a d) -> Task a b -> Task a d
  */
 Task.chainRejected = _.curry(function(fn, task){
     return Task(function(reject, resolve){
-        task.exec(function(result){
-            fn(result).exec(reject, resolve);
+        var cancelNext = _.noop;
+        var cancelTask = _run(task, _guard(fn, reject, function(next){
+            cancelNext = _run(next, reject, resolve);
+        }), resolve);
+
+        return function(){
+            cancelTask();
+            cancelNext();
+        };
+    });
+});
+
+/**
+ * Creates a task which settles like the first task, unless it rejects, in which case it runs the second.
+ *
+ * @sig Task a b -> Task a b -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var config = Task.alt(readConfig('local.json'), readConfig('default.json'));
+ */
+Task.alt = _.curry(function(left, right){
+    return Task(function(reject, resolve){
+        var cancelRight = _.noop;
+        var cancelLeft = _run(left, function(){
+            cancelRight = _run(right, reject, resolve);
         }, resolve);
+
+        return function(){
+            cancelLeft();
+            cancelRight();
+        };
     });
 });
 
 /**
- * @sig (Monoid s, Foldable s) => s (Task a b) -> Task a (s b)
+ * Creates a task which chains a function until it is done, without growing the stack.
+ *
+ * The function is passed next, done and the current value, and returns a task
+ * which resolves with either next(value), to be called again with value,
+ * or done(value), to resolve with value.
+ *
+ * @sig ((a -> c, b -> c, a) -> Task e c) -> a -> Task e b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var countdown = Task.chainRec(function(next, done, n){
+ *          return Task.of(n === 0 ? done('liftoff') : next(n - 1));
+ *      }, 10000);
  */
-Task.series = _.curry(function(tasks) {
-    var M = _.Type.moduleFor(tasks);
+Task.chainRec = _.curry(function(fn, initial){
+    var _next = function(value){
+        return {done: false, value: value};
+    };
+    var _done = function(value){
+        return {done: true, value: value};
+    };
 
-    if (_.isEmpty(tasks)) {
-        // cannot do anything with an empty list of tasks
-        return Task.of(M.empty());
-    }
+    return Task(function(reject, resolve){
+        var step = 0;
+        var cancel = _.noop;
+
+        var _step = function(value){
+            var current = ++step;
+            var next;
+            try {
+                next = fn(_next, _done, value);
+            } catch (e) {
+                reject(Task.TaskDefectError(e));
+                return;
+            }
+            var cancelNext = _run(next, reject, function(result){
+                result.done ? resolve(result.value) : _step(result.value);
+            });
+            // a step which settles synchronously has already started the next one
+            if (current === step) {
+                cancel = cancelNext;
+            }
+        };
 
-    return _.foldr(function(accum, task){
-        return Task.concatSeries(Task.map(M.of, task), accum);
-    }, Task.of(M.empty()), tasks);
+        _step(initial);
+
+        return function(){
+            cancel();
+        };
+    });
 });
 
 /**
- * @sig (Monoid s, Foldable s) => s (Task a b) -> Task a (s b)
+ * Creates a task from a generator function by chaining each task it yields.
+ *
+ * The resolved value of each yielded task is sent back into the generator.
+ * The rejected value of a yielded task is thrown into the generator,
+ * so it can be handled with try/catch.
+ * The value the generator returns is the task's resolved value.
+ *
+ * The generator function is called each time the task is forked.
+ * An exception thrown by the generator rejects the task.
+ * Cancelling the task cancels the running yielded task and returns from the generator,
+ * so its finally blocks run.
+ *
+ * @sig (() -> Generator (Task a *) b) -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.do(function*(){
+ *          var user = yield getUser(1);
+ *          var posts = yield getPosts(user);
+ *          return {user: user, posts: posts};
+ *      });
  */
-Task.parallel = _.curry(function(tasks) {
-    var M = _.Type.moduleFor(tasks);
+Task.do = _.curry(function(generatorFn){
+    return Task(function(reject, resolve){
+        var gen;
+        var steps = 0;
+        var done = false;
+        var cancel = _.noop;
 
-    if (_.isEmpty(tasks)) {
-        // cannot do anything with an empty list of tasks
-        return Task.of(M.empty());
-    }
+        var _step = function(method, value){
+            var next;
+            try {
+                next = gen[method](value);
+            } catch (e) {
+                done = true;
+                reject(e);
+                return;
+            }
+
+            if (next.done) {
+                done = true;
+                resolve(next.value);
+                return;
+            }
+
+            if (!Task.member(next.value)) {
+                _step('throw', new TypeError('Task.do expects the generator to yield tasks'));
+                return;
+            }
+
+            var step = steps += 1;
+            var _cancel = _run(next.value, function(reason){
+                _step('throw', reason);
+            }, function(result){
+                _step('next', result);
+            });
+
+            // a later step may already have started if this task settled synchronously
+            if (step === steps) {
+                cancel = _cancel;
+            }
+        };
+
+        try {
+            gen = generatorFn();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        _step('next');
+
+        return function(){
+            if (!done) {
+                done = true;
+                cancel();
+                try {
+                    gen.return();
+                } catch (e) {
+                    // the task has been cancelled, so there is nobody to tell
+                }
+            }
+        };
+    });
+});
+
+/**
+ * Runs a collection of tasks one after another, collecting the results.
+ *
+ * This behaves like folding the tasks with Task.concatSeries,
+ * but does not nest a task for every item in the collection.
+ *
+ * @sig (Monoid s, Foldable s) => s (Task a b) -> Task a (s b)
+ */
+Task.series = _.curry(function(tasks) {
+    return Task.parallelLimit(1, tasks);
+});
 
-    return _.foldr(function(accum, task){
-        return Task.concatParallel(Task.map(M.of, task), accum);
-    }, Task.of(M.empty()), tasks);
+/**
+ * Runs a collection of tasks in parallel, collecting the results.
+ *
+ * This behaves like folding the tasks with Task.concatParallel,
+ * but does not nest a task for every item in the collection.
+ *
+ * @sig (Monoid s, Foldable s) => s (Task a b) -> Task a (s b)
+ */
+Task.parallel = _.curry(function(tasks) {
+    return Task.parallelLimit(Infinity, tasks);
 });
 
 /**
@@ -260,13 +1193,10 @@ Task.partition = _.curry(function(tasks) {
         return Task.of(_.concat(M.of(M.empty()), M.of(M.empty())));
     }
 
-    var completed = 0;
-    var resolveds = M.empty();
-    var rejects = M.empty();
-
-
-
     return Task(function(reject, resolve){
+        var completed = 0;
+        var resolveds = M.empty();
+        var rejects = M.empty();
 
         var _check = function(){
             completed += 1;
@@ -283,11 +1213,300 @@ Task.partition = _.curry(function(tasks) {
             _check();
         };
 
-        return _.foldr(function(accum, task){
-            task.exec(_rej, _res);
+        var cancels = _.foldr(function(accum, task){
+            return _.append(_run(task, _rej, _res), accum);
+        }, [], tasks);
+
+        return _cancelAll(cancels);
+    });
+
+});
+
+/**
+ * Runs a collection of tasks in parallel, collecting the outcome of each as an Either.
+ *
+ * A rejected task becomes a Left of its rejected value and a resolved task becomes
+ * a Right of its resolved value.
+ * The outcomes are collected in the same order as the tasks.
+ *
+ * The created task will never reject.
+ *
+ * @sig (Monoid s, Foldable s) => s (Task a b) -> Task c (s (Either a b))
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.settle([Task.of(1), Task.reject('oops')]);
+ *
+ *      Task.fork(_.noop, function(outcomes){
+ *          // outcomes is [Right(1), Left('oops')]
+ *      }, task);
+ */
+Task.settle = _.curry(function(tasks) {
+    var M = _.Type.moduleFor(tasks);
+    var list = _toArray(tasks);
+
+    if (list.length === 0) {
+        // cannot do anything with an empty list of tasks
+        return Task.of(M.empty());
+    }
+
+    return Task(function(reject, resolve){
+        var completed = 0;
+        var outcomes = [];
+
+        var cancels = list.map(function(task, index){
+            var _settle = function(either){
+                return function(value){
+                    outcomes[index] = either(value);
+                    completed += 1;
+                    if (completed === list.length) {
+                        resolve(_fromArray(M, outcomes));
+                    }
+                };
+            };
+
+            return _run(task, _settle(Either.Left), _settle(Either.Right));
+        });
+
+        return _cancelAll(cancels);
+    });
+});
+
+/**
+ * Runs a collection of tasks in parallel with at most n tasks running at once.
+ *
+ * The results are collected in the same order as the tasks.
+ * If any of the tasks reject, the running tasks are cancelled and no more are started.
+ * Throws a TypeError if n is not a positive integer or Infinity.
+ *
+ * @sig (Monoid s, Foldable s) => Number -> s (Task a b) -> Task a (s b)
+ * @since 0.7.0
+ */
+Task.parallelLimit = _.curry(function(n, tasks) {
+    _checkLimit(n);
+
+    var M = _.Type.moduleFor(tasks);
+    var list = _toArray(tasks);
+
+    if (list.length === 0) {
+        // cannot do anything with an empty list of tasks
+        return Task.of(M.empty());
+    }
+
+    return Task(function(reject, resolve){
+        var completed = 0;
+        var results = [];
+
+        return _runLimit(n, list, function(reason){
+            reject(reason);
+            return true;
+        }, function(value, index){
+            results[index] = value;
+            completed += 1;
+            if (completed === list.length) {
+                resolve(_fromArray(M, results));
+            }
+            return false;
+        });
+    });
+});
+
+/**
+ * Runs a collection of tasks in parallel with at most n tasks running at once,
+ * returning the rejected and resolved values as separate collections.
+ *
+ * Unlike Task.partition, the order of each collection matches the order of the tasks.
+ * Throws a TypeError if n is not a positive integer or Infinity.
+ *
+ * @sig (Monoid s, Foldable s) => Number -> s (Task a b) -> Task a (s s (a|b)))
+ * @since 0.7.0
+ */
+Task.partitionLimit = _.curry(function(n, tasks) {
+    _checkLimit(n);
+
+    var M = _.Type.moduleFor(tasks);
+    var list = _toArray(tasks);
+
+    if (list.length === 0) {
+        // cannot do anything with an empty list of tasks
+        return Task.of(_.concat(M.of(M.empty()), M.of(M.empty())));
+    }
+
+    return Task(function(reject, resolve){
+        var completed = 0;
+        var outcomes = [];
+
+        var _check = function(){
+            completed += 1;
+            if (completed === list.length) {
+                var rejects = [];
+                var resolveds = [];
+                outcomes.forEach(function(outcome){
+                    (outcome.rejected ? rejects : resolveds).push(outcome.value);
+                });
+                resolve(_.concat(M.of(_fromArray(M, rejects)), M.of(_fromArray(M, resolveds))));
+            }
+            return false;
+        };
+
+        return _runLimit(n, list, function(value, index){
+            outcomes[index] = {rejected: true, value: value};
+            return _check();
+        }, function(value, index){
+            outcomes[index] = {rejected: false, value: value};
+            return _check();
+        });
+    });
+});
+
+/**
+ * Runs the tasks in an object or Map in parallel, resolving with a record of their results under the same keys.
+ *
+ * Objects and Maps nested in the record are run the same way and rebuilt in the result.
+ * Values which are not tasks are passed through as they are.
+ *
+ * If any of the tasks reject, the running tasks are cancelled
+ * and the task rejects with an object holding the path of keys to the task
+ * that failed and the rejected value.
+ *
+ * @sig {k: Task a b} -> Task {path: [k], reason: a} {k: b}
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.props({
+ *          user: getUser(1),
+ *          settings: {
+ *              perms: getPermissions(1),
+ *              prefs: getPreferences(1)
+ *          }
+ *      });
+ *
+ *      Task.fork(function(failure){
+ *          // failure.path is ['settings', 'perms'] if getPermissions failed
+ *          // failure.reason is the reason it failed
+ *      }, function(result){
+ *          // result.user, result.settings.perms and result.settings.prefs
+ *      }, task);
+ */
+Task.props = _.curry(function(record) {
+    return _props(Infinity, record);
+});
+
+/**
+ * Runs the tasks in an object or Map one after another, resolving with a record of their results under the same keys.
+ *
+ * The tasks run in the order of their keys, including those of nested records.
+ * Otherwise this behaves like Task.props.
+ *
+ * @sig {k: Task a b} -> Task {path: [k], reason: a} {k: b}
+ * @since 0.7.0
+ */
+Task.propsSeries = _.curry(function(record) {
+    return _props(1, record);
+});
+
+/**
+ * Runs a collection of tasks in parallel, settling with whichever task settles first.
+ *
+ * The remaining tasks are cancelled once one has settled.
+ * A task created from an empty collection never settles.
+ *
+ * @sig Foldable s => s (Task a b) -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.race([
+ *          Task.delay(20, Task.of("slow")),
+ *          Task.delay(10, Task.of("fast"))
+ *      ]);
+ *
+ *      Task.fork(function(reason){
+ *          // this doesn't happen
+ *      }, function(result){
+ *          // result is "fast" here and the slow task has been cancelled
+ *      }, task);
+ */
+Task.race = _.curry(function(tasks) {
+    return Task(function(reject, resolve){
+        var settled = false;
+        var cancels = [];
+
+        var _settle = function(fn){
+            return function(value){
+                if (!settled) {
+                    settled = true;
+                    _cancelAll(cancels)();
+                    fn(value);
+                }
+            };
+        };
+        var _rej = _settle(reject);
+        var _res = _settle(resolve);
+
+        _.foldl(function(accum, task){
+            if (!settled) {
+                cancels.push(_run(task, _rej, _res));
+            }
+            return accum;
         }, null, tasks);
+
+        return _cancelAll(cancels);
     });
+});
+
+/**
+ * Runs a collection of tasks in parallel, resolving with the first task that resolves.
+ *
+ * The remaining tasks are cancelled once one has resolved.
+ * If every task rejects, the task rejects with a Task.AggregateError whose errors
+ * are the rejected values in the same order as the tasks.
+ *
+ * @sig Foldable s => s (Task a b) -> Task AggregateError b
+ * @since 0.7.0
+ */
+Task.any = _.curry(function(tasks) {
+    var l = _.len(tasks);
+
+    if (l === 0) {
+        // nothing can resolve, so everything has failed
+        return Task.reject(Task.AggregateError([]));
+    }
+
+    return Task(function(reject, resolve){
+        var settled = false;
+        var failed = 0;
+        var reasons = [];
+        var cancels = [];
 
+        var _res = function(value){
+            if (!settled) {
+                settled = true;
+                _cancelAll(cancels)();
+                resolve(value);
+            }
+        };
+
+        _.foldl(function(index, task){
+            var _rej = function(reason){
+                reasons[index] = reason;
+                failed += 1;
+                if (failed === l) {
+                    settled = true;
+                    reject(Task.AggregateError(reasons));
+                }
+            };
+
+            if (!settled) {
+                cancels.push(_run(task, _rej, _res));
+            }
+            return index + 1;
+        }, 0, tasks);
+
+        return _cancelAll(cancels);
+    });
 });
 
 
@@ -297,34 +1516,55 @@ Task.partition = _.curry(function(tasks) {
  * The first function will be called if the task is rejected.
  * The second function will be called if the task is resolved.
  *
- * @sig (a -> ()) -> (b -> ()) -> Task a b -> ()
+ * Returns a function which cancels the task.
+ * Neither function will be called once the task has been cancelled.
+ *
+ * @sig (a -> ()) -> (b -> ()) -> Task a b -> (() -> ())
  */
 Task.fork = _.curry(function(rejected, resolved, task){
-    task.exec(rejected, resolved);
+    return _scoped(function(){
+        return _run(task, rejected, resolved);
+    });
 });
 
 /**
  * Maps both the rejected and resolved value of a task.
  *
+ * If either function throws, the task rejects with a Task.TaskDefectError.
+ *
  * @sig (a -> c) -> (b -> d) -> Task a b -> Task c d
  */
 Task.bimap = _.curry(function(rejected, resolved, task){
     return Task(function(reject, resolve){
-        task.exec(_.compose(reject, rejected), _.compose(resolve, resolved));
+        return _run(task, _guard(rejected, reject, reject), _guard(resolved, reject, resolve));
     });
 });
 
+/**
+ * Creates a task from a function which accepts a node style callback.
+ *
+ * If the function returns a function, it is used to cancel the task.
+ *
+ * @sig ((a -> b -> ()) -> *) -> Task a b
+ */
 Task.fromAsync = _.curry(function(async) {
     return Task(function(reject, resolve){
-        async(function(err, result){
+        return async(function(err, result){
             err == null ? resolve(result) : reject(err);
         });
     });
 });
 
+/**
+ * Creates a task from a function which accepts a callback that never receives an error.
+ *
+ * If the function returns a function, it is used to cancel the task.
+ *
+ * @sig ((b -> ()) -> *) -> Task a b
+ */
 Task.fromAsync2 = _.curry(function(async) {
     return Task(function(reject, resolve){
-        async(resolve);
+        return async(resolve);
     });
 });
 
@@ -332,6 +1572,7 @@ Task.fromAsync2 = _.curry(function(async) {
  * Creates a function from a normal async function that returns a task.
  *
  * The async function is expected to return an error as the first callback argument.
+ * If the async function returns a function, forking the task returns it as the canceller.
  *
  * @example
  *
@@ -365,70 +1606,489 @@ Task.taskify2 = _.curry(function(async) {
 Task.depromisify = _.curry(function(promiseFn)
 {
     return _.curryN(promiseFn.length, function(){
+        var self = this;
         var args = arguments;
-        return Task(function(reject, resolve){
-            console.log('TASK FORKED');
-            promiseFn.apply(this, args).then(resolve,reject).catch(reject);
+        return Task.fromPromise(function(){
+            return promiseFn.apply(self, args);
         });
     });
-})
+});
 
 /**
- * Makes a task run async (non-blocking).
+ * Creates a task from a function that returns a promise.
  *
- * @sig Task a b -> Task a b
+ * The function is not called until the task is forked, and is called again on every fork.
+ * If the function throws, the task rejects with the thrown error.
+ * If the function returns a value which is not a thenable, the task resolves with it.
+ *
+ * @sig (() -> Promise a b) -> Task a b
+ * @since 0.7.0
  */
-Task.immediate = _.curry(function(task){
+Task.fromPromise = _.curry(function(thunk){
     return Task(function(reject, resolve){
-        immediate(function(){
-            task.exec(reject, resolve);
-        });
+        var result;
+        try {
+            result = thunk();
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        if (result != null && _.Fun.member(result.then)) {
+            result.then(resolve, reject);
+        } else {
+            resolve(result);
+        }
     });
 });
 
 /**
- * Makes a task wait to run for a specified number of milliseconds.
+ * Forks a task, returning a promise of its outcome.
  *
- * @sig Number -> Task a b -> Task a b
+ * @sig Task a b -> Promise a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      async function handler(req) {
+ *          var user = await Task.toPromise(getUser(req.params.id));
+ *          // ...
+ *      }
  */
-Task.delay = _.curry(function(delay, task){
-    return Task(function(reject, resolve){
-        setTimeout(function(){
-            task.exec(reject, resolve);
-        }, delay);
+Task.toPromise = _.curry(function(task){
+    return new Promise(function(resolve, reject){
+        _scoped(function(){
+            _run(task, reject, resolve);
+        });
     });
 });
 
 /**
- * Makes a task reject if it takes too long to execute.
+ * Makes every task a thenable so that tasks can be awaited directly.
  *
- * The time will be passed as the only argument to the error function
- * when a timeout occurs.
+ * Awaiting a task forks it.
+ * This is opt-in since anything with a then method is treated as a promise,
+ * so a task resolved by a promise would be forked instead of being passed along as a value.
  *
- * @sig ((Number) -> a) -> Number -> Task a b -> Task a b
+ * @sig () -> ()
+ * @since 0.7.0
  */
-Task.timeoutWith = _.curry(function(errFn, time, task){
-    return Task(function(reject, resolve){
-        var timeout = null;
-        var _reject = function(reason){
-            if (timeout != null) {
-                clearTimeout(timeout);
-                reject(reason);
-            }
+Task.enableThenable = function(){
+    Task.prototype.then = function(onResolved, onRejected){
+        return Task.toPromise(this).then(onResolved, onRejected);
+    };
+};
+
+/**
+ * Removes the then method added by Task.enableThenable.
+ *
+ * @sig () -> ()
+ * @since 0.7.0
+ */
+Task.disableThenable = function(){
+    delete Task.prototype.then;
+};
+
+/**
+ * Creates a task which rejects with the value of a Left or resolves with the value of a Right.
+ *
+ * @sig Either a b -> Task a b
+ * @since 0.7.0
+ */
+Task.fromEither = _.curry(function(either){
+    return Either.isLeft(either) ? Task.reject(either.value) : Task.of(either.value);
+});
+
+/**
+ * Creates a task which resolves with the value of a Just or rejects with a given value for Nothing.
+ *
+ * @sig a -> Maybe b -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var findUser = _.compose(Task.fromMaybe('no such user'), lookupUser);
+ */
+Task.fromMaybe = _.curry(function(errorValue, maybe){
+    return Maybe.isJust(maybe) ? Task.of(maybe.value) : Task.reject(errorValue);
+});
+
+/**
+ * Creates a task which always resolves, with a Left of the rejected value or a Right of the resolved value.
+ *
+ * @sig Task a b -> Task c (Either a b)
+ * @since 0.7.0
+ */
+Task.toEither = _.curry(function(task){
+    return Task(function(reject, resolve){
+        return _run(task, _.compose(resolve, Either.Left), _.compose(resolve, Either.Right));
+    });
+});
+
+/**
+ * Turns an Either of a task into a task of an Either.
+ *
+ * A Left resolves straight away with the same Left.
+ * A Right runs its task and resolves with a Right of the result, or rejects if the task rejects.
+ *
+ * @sig Either e (Task a b) -> Task a (Either e b)
+ * @since 0.7.0
+ */
+Task.sequenceEither = _.curry(function(either){
+    return Either.isLeft(either) ? Task.of(either) : Task.map(Either.Right, either.value);
+});
+
+/**
+ * Applies a function which returns a task to every value in a collection
+ * and runs the tasks in parallel, collecting the results in a collection of the same type.
+ *
+ * The collection can be any Foldable Applicative Monoid, such as an array.
+ * If any of the tasks reject, the running tasks are cancelled.
+ *
+ * @sig (Monoid s, Foldable s, Applicative s) => (a -> Task e b) -> s a -> Task e (s b)
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      // resolves with an array of users
+ *      var users = Task.traverse(getUser, [1, 2, 3]);
+ */
+Task.traverse = _.curry(function(fn, values){
+    return Task.parallel(_.map(fn, values));
+});
+
+/**
+ * Sets the scheduler used by every task that waits.
+ *
+ * Task.delay, Task.timeoutWith, Task.immediate and everything built on them
+ * get their clock and timers from the scheduler when they are forked.
+ * Passing a Task.TestScheduler makes time-based tasks testable without real waits;
+ * passing Task.Scheduler goes back to the real clock and timers.
+ *
+ * @sig Scheduler -> ()
+ * @since 0.7.0
+ */
+Task.setScheduler = function(s){
+    scheduler = s;
+};
+
+/**
+ * Gets the scheduler used by every task that waits.
+ *
+ * @sig () -> Scheduler
+ * @since 0.7.0
+ */
+Task.getScheduler = function(){
+    return scheduler;
+};
+
+/**
+ * Makes a task run async (non-blocking).
+ *
+ * @sig Task a b -> Task a b
+ */
+Task.immediate = _.curry(function(task){
+    return Task(function(reject, resolve){
+        var cancel = _.noop;
+        var cancelImmediate = scheduler.immediate(_bind(function(){
+            cancel = _run(task, reject, resolve);
+        }));
+
+        return function(){
+            cancelImmediate();
+            cancel();
+        };
+    });
+});
+
+/**
+ * Makes a task wait to run for a specified number of milliseconds.
+ *
+ * @sig Number -> Task a b -> Task a b
+ */
+Task.delay = _.curry(function(delay, task){
+    return Task(function(reject, resolve){
+        var cancel = _.noop;
+        var cancelDelay = scheduler.delay(delay, _bind(function(){
+            cancel = _run(task, reject, resolve);
+        }));
+
+        return function(){
+            cancelDelay();
+            cancel();
+        };
+    });
+});
+
+/**
+ * Creates a function which limits how often the tasks it wraps are forked, using a token bucket.
+ *
+ * The bucket holds up to burst tokens and gains rate tokens every second.
+ * Forking a wrapped task takes a token; if none is left, the fork waits in a queue
+ * until one is. Waiting forks start in the order they were made.
+ * If maxQueue forks are already waiting, the task rejects with a Task.RateLimitError.
+ *
+ * Every task wrapped by the same function shares the bucket.
+ * Cancelling a waiting task removes it from the queue.
+ * The limiter waits with the scheduler, like Task.delay.
+ * Throws a TypeError if rate is not a positive number or burst is less than 1.
+ *
+ * @sig {rate: Number, burst: Number, maxQueue: Number} -> (Task a b -> Task (a|RateLimitError) b)
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      // 10 requests per second, with bursts of up to 20
+ *      var limit = Task.rateLimiter({rate: 10, burst: 20, maxQueue: 100});
+ *
+ *      var getUser = _.compose(limit, Task.taskify(api.getUser));
+ */
+Task.rateLimiter = function(options){
+    var rate = options.rate;
+    var burst = options.burst == null ? 1 : options.burst;
+
+    if (typeof rate !== 'number' || !(rate > 0) || rate === Infinity) {
+        throw new TypeError('Expected rate to be a positive number, got ' + rate);
+    }
+    if (typeof burst !== 'number' || !(burst >= 1)) {
+        throw new TypeError('Expected burst to be at least 1, got ' + burst);
+    }
+
+    var maxQueue = options.maxQueue == null ? Infinity : options.maxQueue;
+    var tokens = burst;
+    var updated = null;
+    var queue = [];
+    var cancelTimer = null;
+
+    var _refill = function(){
+        var now = scheduler.now();
+        if (updated != null) {
+            tokens = Math.min(burst, tokens + (now - updated) * rate / 1000);
         }
-        var _resolve = function(value){
-            if (timeout != null) {
-                clearTimeout(timeout);
-                resolve(value);
+        updated = now;
+    };
+
+    var _wait = function(){
+        cancelTimer = scheduler.delay(Math.ceil((1 - tokens) * 1000 / rate), _drain);
+    };
+
+    var _drain = function(){
+        cancelTimer = null;
+        _refill();
+        while (queue.length > 0 && tokens >= 1) {
+            tokens -= 1;
+            queue.shift().start();
+        }
+        if (queue.length > 0) {
+            _wait();
+        }
+    };
+
+    return function(task){
+        return Task(function(reject, resolve){
+            var cancel = _.noop;
+            var entry = {
+                start: _bind(function(){
+                    cancel = _run(task, reject, resolve);
+                })
+            };
+
+            _refill();
+            if (queue.length === 0 && tokens >= 1) {
+                tokens -= 1;
+                entry.start();
+            } else if (queue.length >= maxQueue) {
+                reject(Task.RateLimitError(maxQueue));
+                return;
+            } else {
+                queue.push(entry);
+                if (cancelTimer == null) {
+                    _wait();
+                }
             }
+
+            return function(){
+                var index = queue.indexOf(entry);
+                if (index === -1) {
+                    cancel();
+                    return;
+                }
+                queue.splice(index, 1);
+                if (queue.length === 0 && cancelTimer != null) {
+                    cancelTimer();
+                    cancelTimer = null;
+                }
+            };
+        });
+    };
+};
+
+/**
+ * Creates a circuit breaker, a function which stops forking the tasks it wraps while they keep failing.
+ *
+ * The breaker starts closed, forking every task.
+ * Once threshold tasks have rejected within the last window milliseconds, it opens,
+ * and every task it wraps rejects straight away with a Task.CircuitOpenError.
+ * After resetTimeout milliseconds it becomes half-open,
+ * forking a single trial task while the rest fail fast.
+ * If the trial resolves the breaker closes again; if it rejects the breaker opens again.
+ *
+ * The options are:
+ *
+ * threshold: the number of failures that open the breaker, 5 by default
+ * window: the time in milliseconds failures are counted over, 60000 by default
+ * resetTimeout: the time in milliseconds to stay open, 30000 by default
+ * isFailure: a predicate on the rejected value which decides whether it counts as a failure, all of them by default
+ * onStateChange: a function called with the new and old state whenever the state changes
+ *
+ * The breaker has a state function which returns 'closed', 'open' or 'half-open',
+ * and an onStateChange function which registers another listener and returns a function which unregisters it.
+ * Time is measured, and the reset timeout waited for, with the scheduler.
+ *
+ * @sig {threshold: Number, window: Number, resetTimeout: Number, isFailure: a -> Boolean, onStateChange: String -> String -> ()} -> (Task a b -> Task (a|CircuitOpenError) b)
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var breaker = Task.circuitBreaker({threshold: 3, window: 10000, resetTimeout: 5000});
+ *
+ *      // timeouts count as failures too
+ *      var getUser = _.compose(breaker, Task.timeout(1000), Task.taskify(api.getUser));
+ */
+Task.circuitBreaker = function(options){
+    var threshold = options.threshold == null ? 5 : options.threshold;
+    var windowTime = options.window == null ? 60000 : options.window;
+    var resetTimeout = options.resetTimeout == null ? 30000 : options.resetTimeout;
+    var isFailure = _.Fun.member(options.isFailure) ? options.isFailure : _.T;
+    var listeners = _.Fun.member(options.onStateChange) ? [options.onStateChange] : [];
+    var state = 'closed';
+    var generation = 0;
+    var failures = [];
+    var trying = false;
+    var cancelReset = _.noop;
+
+    var _change = function(to){
+        var from = state;
+        state = to;
+        generation += 1;
+        cancelReset();
+        cancelReset = _.noop;
+        listeners.forEach(function(listener){
+            listener(to, from);
+        });
+    };
+
+    var _open = function(){
+        failures = [];
+        _change('open');
+        cancelReset = scheduler.delay(resetTimeout, _bind(function(){
+            cancelReset = _.noop;
+            _change('half-open');
+        }));
+    };
+
+    var _failed = function(){
+        if (state === 'half-open') {
+            _open();
+            return;
+        }
+        var now = scheduler.now();
+        failures = failures.filter(function(at){
+            return now - at < windowTime;
+        }).concat([now]);
+        if (failures.length >= threshold) {
+            _open();
         }
+    };
 
-        timeout = setTimeout(function(){
-            timeout = null;
-            reject(errFn(time));
-        }, time);
-        task.exec(_reject, _resolve);
-    });
+    var breaker = function(task){
+        return Task(function(reject, resolve){
+            var current = state;
+            if (current === 'open' || (current === 'half-open' && trying)) {
+                reject(Task.CircuitOpenError(current));
+                return;
+            }
+
+            var trial = current === 'half-open';
+            var started = generation;
+            trying = trying || trial;
+
+            var cancel = _run(task, function(reason){
+                if (trial) {
+                    trying = false;
+                }
+                // failures of tasks forked before the state last changed do not count
+                if (started === generation && isFailure(reason)) {
+                    _failed();
+                }
+                reject(reason);
+            }, function(value){
+                if (trial) {
+                    trying = false;
+                    failures = [];
+                    _change('closed');
+                }
+                resolve(value);
+            });
+
+            return function(){
+                if (trial) {
+                    trying = false;
+                }
+                cancel();
+            };
+        });
+    };
+
+    breaker.state = function(){
+        return state;
+    };
+
+    breaker.onStateChange = function(listener){
+        listeners = listeners.concat([listener]);
+
+        return function(){
+            listeners = listeners.filter(function(l){
+                return l !== listener;
+            });
+        };
+    };
+
+    return breaker;
+};
+
+/**
+ * Makes a task reject if it takes too long to execute.
+ *
+ * The time will be passed as the only argument to the error function
+ * when a timeout occurs, and the task will be cancelled.
+ * Within Task.withDeadline, the time is cut down to what is left before the deadline,
+ * and the time passed to the error function is the time that was allowed.
+ *
+ * @sig ((Number) -> a) -> Number -> Task a b -> Task a b
+ */
+Task.timeoutWith = _.curry(function(errFn, time, task){
+    return _timeout(time, function(allowed){
+        return Task.reject(errFn(allowed));
+    }, task);
+});
+
+/**
+ * Makes a task switch to a fallback task if it takes too long to execute.
+ *
+ * When a timeout occurs, the task is cancelled and the fallback task is run instead.
+ * Within Task.withDeadline, the time is cut down to what is left before the deadline.
+ *
+ * @sig Number -> Task a b -> Task a b -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      // use the cached recommendations if fresh ones take more than 200ms
+ *      var recommendations = Task.timeoutTo(200, cachedRecommendations(user), fetchRecommendations(user));
+ */
+Task.timeoutTo = _.curry(function(time, fallback, task){
+    return _timeout(time, _.always(fallback), task);
 });
 
 /**
@@ -440,17 +2100,710 @@ Task.timeoutWith = _.curry(function(errFn, time, task){
  */
 Task.timeout = Task.timeoutWith(Task.TimeoutError);
 
+/**
+ * Gives a task an overall time budget which the timeouts inside it share.
+ *
+ * The task rejects with a Task.TimeoutError if it has not settled within the time.
+ * While it runs, including after timers and callbacks, Task.timeout, Task.timeoutWith
+ * and Task.timeoutTo are cut down to the time left before the deadline instead of getting
+ * their full time again. A deadline inside another deadline cannot extend it.
+ *
+ * @sig Number -> Task a b -> Task (a|TimeoutError) b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      // each call may take up to 1000ms, but the whole request no more than 1500ms
+ *      var handler = Task.withDeadline(1500, Task.chain(function(user){
+ *          return Task.timeout(1000, getOrders(user));
+ *      }, Task.timeout(1000, getUser(id))));
+ */
+Task.withDeadline = _.curry(function(time, task){
+    return Task(function(reject, resolve){
+        var at = scheduler.now() + time;
+        var settled = false;
+        var cancelTimer = _.noop;
+        var cancel = _.noop;
+
+        var _settle = function(fn){
+            return function(value){
+                if (!settled) {
+                    settled = true;
+                    cancelTimer();
+                    fn(value);
+                }
+            };
+        };
+
+        // timeouts inside the task that were cut down to the deadline are due at the same time,
+        // so they are given the chance to settle it first
+        cancelTimer = scheduler.delay(time, _bind(function(){
+            cancelTimer = scheduler.immediate(_bind(function(){
+                cancel();
+                _settle(reject)(Task.TimeoutError(time));
+            }));
+        }));
+
+        cancel = _within({span: current, deadline: deadline == null ? at : Math.min(deadline, at)}, function(){
+            return _run(task, _settle(reject), _settle(resolve));
+        });
+
+        return function(){
+            settled = true;
+            cancelTimer();
+            cancel();
+        };
+    });
+});
+
+/**
+ * Runs a task again each time it rejects, for as long as a retry policy allows.
+ *
+ * The policy is called after every rejection and returns how long to wait
+ * before the next attempt, or null to give up.
+ * See Task.RetryPolicy for the policies that are available.
+ *
+ * When the policy gives up, the task rejects with a Task.RetryExhaustedError
+ * listing the rejected value of every attempt.
+ *
+ * @sig RetryPolicy a -> Task a b -> Task RetryExhaustedError b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var policy = _.compose(
+ *          Task.RetryPolicy.maxAttempts(5),
+ *          Task.RetryPolicy.jitter
+ *      )(Task.RetryPolicy.exponential(100, 2));
+ *
+ *      Task.fork(function(err){
+ *          // err.reasons holds the five rejected values
+ *      }, function(result){
+ *          // one of the attempts resolved
+ *      }, Task.retry(policy, request));
+ */
+Task.retry = _.curry(function(policy, task){
+    var _attempt = function(start, reasons){
+        return Task.chainRejected(function(reason){
+            var failures = _.append(reason, reasons);
+            var wait = policy(failures.length, reason, scheduler.now() - start);
+
+            return wait == null
+                ? Task.reject(Task.RetryExhaustedError(failures))
+                : Task.delay(wait, _attempt(start, failures));
+        }, task);
+    };
+
+    return Task(function(reject, resolve){
+        return _run(_attempt(scheduler.now(), []), reject, resolve);
+    });
+});
+
+/**
+ * Creates a task which forks a task again and again until the predicate passes on its resolved value.
+ *
+ * The options are:
+ *
+ * until: the predicate on the resolved value
+ * interval: the milliseconds to wait between attempts, 1000 by default
+ * timeout: the milliseconds after which the task rejects with a Task.TimeoutError, no limit by default
+ *
+ * The interval may be a function of the number of attempts made so far, the most recent resolved value
+ * and the milliseconds elapsed since the first attempt, so a Task.RetryPolicy can be used for backoff.
+ * If it returns null, polling stops and the task rejects with a Task.TimeoutError.
+ *
+ * If the task rejects, polling stops and the task rejects with the same value.
+ *
+ * @sig {until: b -> Boolean, interval: Number|RetryPolicy b, timeout: Number} -> Task a b -> Task (a|TimeoutError) b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var finished = Task.poll({
+ *          until: function(job){ return job.status === 'done'; },
+ *          interval: Task.RetryPolicy.exponential(500, 2),
+ *          timeout: 60000
+ *      }, getExportStatus(exportId));
+ */
+Task.poll = _.curry(function(options, task){
+    var until = options.until;
+    var interval = _.Fun.member(options.interval)
+        ? options.interval
+        : _.always(options.interval == null ? 1000 : options.interval);
+
+    var _attempt = function(start, attempt){
+        return Task.chain(function(value){
+            if (until(value)) {
+                return Task.of(value);
+            }
+
+            var elapsed = scheduler.now() - start;
+            var wait = interval(attempt, value, elapsed);
+
+            return wait == null
+                ? Task.reject(Task.TimeoutError(elapsed))
+                : Task.delay(wait, _attempt(start, attempt + 1));
+        }, task);
+    };
+
+    var polling = Task(function(reject, resolve){
+        return _run(_attempt(scheduler.now(), 1), reject, resolve);
+    });
+
+    return options.timeout == null ? polling : Task.timeout(options.timeout, polling);
+});
+
+/**
+ * Creates a task which runs a task again each time it resolves, for as long as a schedule says.
+ *
+ * After every run, the schedule is called with the number of runs so far, the resolved value,
+ * the milliseconds elapsed since the first run started and the current time.
+ * It returns how long to wait before the next run, or null to stop.
+ * See Task.Schedule for the schedules that are available.
+ *
+ * The task resolves with the resolved value of every run collected in the monoid
+ * the given module describes, the same way Task.series collects its results.
+ * If a run rejects, the task rejects with the same value.
+ *
+ * @sig (Monoid m, Applicative m) => Module m -> Schedule b -> Task a b -> Task a (m b)
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      // five runs, a minute apart
+ *      var schedule = Task.Schedule.intersection(Task.Schedule.spaced(60000), Task.Schedule.times(5));
+ *
+ *      Task.fork(onRejected, function(results){
+ *          // results is an array of the five resolved values
+ *      }, Task.repeatInto(_.Arr, schedule, cleanUpSessions));
+ */
+Task.repeatInto = _.curry(function(M, schedule, task){
+    return _repeat(M, schedule, task, {stopped: false, watch: _.always(_.noop)});
+});
+
+/**
+ * Same as Task.repeatInto, collecting the results in an array.
+ *
+ * @sig Schedule b -> Task a b -> Task a (Arr b)
+ * @since 0.7.0
+ */
+Task.repeat = Task.repeatInto(_.Arr);
+
+/**
+ * Runs a task every number of milliseconds until it is stopped.
+ *
+ * Returns a handle with a task and a stop function. Forking the handle's task runs the task
+ * straight away and then every interval from when the first run started; if a run takes longer
+ * than the interval, the next one starts as soon as it resolves.
+ * Calling stop makes every fork of the handle's task resolve, once the run in progress has resolved,
+ * with the resolved value of every run collected in the monoid the given module describes.
+ * If a run rejects, the task rejects with the same value.
+ *
+ * @sig (Monoid m, Applicative m) => Module m -> Number -> Task a b -> {task: Task a (m b), stop: () -> ()}
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var heartbeat = Task.everyInto(_.Arr, 30000, sendHeartbeat);
+ *
+ *      Task.fork(onRejected, onStopped, heartbeat.task);
+ *
+ *      // later
+ *      heartbeat.stop();
+ */
+Task.everyInto = _.curry(function(M, interval, task){
+    var stops = [];
+    var control = {
+        stopped: false,
+        watch: function(stop){
+            stops.push(stop);
+            return function(){
+                var index = stops.indexOf(stop);
+                if (index !== -1) {
+                    stops.splice(index, 1);
+                }
+            };
+        }
+    };
+
+    var schedule = function(runs, value, elapsed, now){
+        return Math.max(0, runs * interval - elapsed);
+    };
+
+    return {
+        task: _repeat(M, schedule, task, control),
+        stop: function(){
+            control.stopped = true;
+            stops.slice().forEach(function(stop){
+                stop();
+            });
+        }
+    };
+});
+
+/**
+ * Same as Task.everyInto, collecting the results in an array.
+ *
+ * @sig Number -> Task a b -> {task: Task a (Arr b), stop: () -> ()}
+ * @since 0.7.0
+ */
+Task.every = Task.everyInto(_.Arr);
+
+/**
+ * Creates a task which acquires a resource, uses it and then releases it.
+ *
+ * The release runs once the task returned by use settles, including when use throws
+ * or the task is cancelled while the resource is in use.
+ * The task settles with the outcome of use after the release has finished.
+ * If use resolves but the release rejects, the task rejects with the release's rejected value.
+ *
+ * If the acquiring task rejects, nothing is released.
+ *
+ * @sig Task a r -> (r -> Task a *) -> (r -> Task a b) -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.bracket(
+ *          openFile('data.txt', 'r'),
+ *          closeFile,
+ *          function(fd){
+ *              return readFrom(fd);
+ *          }
+ *      );
+ */
+Task.bracket = _.curry(function(acquire, release, use){
+    return Task(function(reject, resolve){
+        var resource;
+        var acquired = false;
+        var released = false;
+        var cancelUse = _.noop;
+
+        var _release = function(rejected, resolved){
+            released = true;
+            _run(_attempt(release, resource), rejected, resolved);
+        };
+
+        var cancelAcquire = _run(acquire, reject, function(value){
+            resource = value;
+            acquired = true;
+            cancelUse = _run(_attempt(use, resource), function(reason){
+                var _reject = function(){
+                    reject(reason);
+                };
+                _release(_reject, _reject);
+            }, function(result){
+                _release(reject, function(){
+                    resolve(result);
+                });
+            });
+        });
+
+        return function(){
+            if (!acquired) {
+                cancelAcquire();
+            } else if (!released) {
+                cancelUse();
+                _release(_.noop, _.noop);
+            }
+        };
+    });
+});
+
+/**
+ * Creates a task which runs a cleanup task after another task settles.
+ *
+ * The cleanup also runs if the task throws or is cancelled.
+ * The new task settles with the outcome of the original task unless
+ * the original task resolves and the cleanup rejects.
+ *
+ * @sig Task a * -> Task a b -> Task a b
+ * @since 0.7.0
+ */
+Task.finally = _.curry(function(cleanup, task){
+    return Task.bracket(Task.of(null), _.always(cleanup), _.always(task));
+});
+
+/**
+ * Turns on strict mode, which reports tasks that break their contract.
+ *
+ * A task breaks its contract if it settles more than once,
+ * settles after it has been cancelled, or throws after it has settled.
+ * Each violation is passed to the report function as an Error.
+ * The error's task property holds the task, its cause property holds the value involved,
+ * and its constructedAt property holds the stack where the task was constructed,
+ * if strict mode was on at the time.
+ *
+ * Without a report function, violations are written to the console as warnings.
+ * Strict mode records a stack for every task constructed, so it is meant for development.
+ *
+ * @sig (Error -> ()) -> ()
+ * @since 0.7.0
+ */
+Task.enableStrict = function(report){
+    strict = _.Fun.member(report) ? report : _warn;
+};
+
+/**
+ * Turns off strict mode.
+ *
+ * @sig () -> ()
+ * @since 0.7.0
+ */
+Task.disableStrict = function(){
+    strict = null;
+};
+
+/**
+ * Gives a task a name for instrumentation.
+ *
+ * Each time a labelled task runs while instrumentation hooks are registered,
+ * it creates a span which is passed to the hooks when the task is forked,
+ * resolves, rejects or is cancelled.
+ * A span has the following properties:
+ *
+ *      label: the name given to the task
+ *      traceId: an id shared by the span and all of its ancestors and descendants
+ *      id: the id of the span
+ *      parentId: the id of the span of the labelled task this one ran within, or null
+ *      start: the time the task was forked, from the scheduler's clock
+ *      end: the time the task settled or was cancelled
+ *      status: 'running', 'resolved', 'rejected' or 'cancelled'
+ *
+ * @sig String -> Task a b -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var task = Task.label('load user', Task.chain(loadPermissions, getUser(1)));
+ */
+Task.label = _.curry(function(name, task){
+    return Task(function(reject, resolve){
+        if (hooks.length === 0) {
+            return _run(task, reject, resolve);
+        }
+
+        var span = {
+            label: name,
+            traceId: current ? current.traceId : _id(16),
+            id: _id(8),
+            parentId: current ? current.id : null,
+            start: scheduler.now(),
+            end: null,
+            status: 'running'
+        };
+
+        var _finish = function(status, event, fn){
+            return function(value){
+                span.end = scheduler.now();
+                span.status = status;
+                _emit(event, span, value);
+                fn(value);
+            };
+        };
+
+        _emit('onFork', span);
+        var cancel = _within({span: span, deadline: deadline}, function(){
+            return _run(task, _finish('rejected', 'onReject', reject), _finish('resolved', 'onResolve', resolve));
+        });
+
+        return function(){
+            cancel();
+            span.end = scheduler.now();
+            span.status = 'cancelled';
+            _emit('onCancel', span);
+        };
+    });
+});
+
+/**
+ * Registers instrumentation hooks which are told about the spans of labelled tasks.
+ *
+ * The hooks object may have any of the functions onFork(span), onResolve(span, value),
+ * onReject(span, reason) and onCancel(span).
+ * Hooks are called synchronously, so they should be quick and should not throw.
+ *
+ * Returns a function which unregisters the hooks.
+ *
+ * @sig {onFork: Span -> (), onResolve: Span -> b -> (), onReject: Span -> a -> (), onCancel: Span -> ()} -> (() -> ())
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var stop = Task.instrument(Task.JsonLinesExporter(fs.createWriteStream('spans.jsonl', {flags: 'a'})));
+ */
+Task.instrument = function(hook){
+    hooks = hooks.concat([hook]);
+
+    return function(){
+        hooks = hooks.filter(function(h){
+            return h !== hook;
+        });
+    };
+};
+
+/**
+ * Turns on long stack traces for errors that tasks reject with.
+ *
+ * While on, every task records where it was constructed, which for the tasks
+ * made by Task.chain, Task.parallel and the other combinators is where they were combined.
+ * When a task rejects with an Error, the construction site of each task the error passes
+ * through on the way to the fork is added to its asyncStack property and to the end of its stack.
+ *
+ * Only tasks constructed while long stack traces are on have a construction site.
+ * Recording them is slow, so this is meant for development.
+ *
+ * @sig () -> ()
+ * @since 0.7.0
+ */
+Task.enableLongStackTraces = function(){
+    longStacks = true;
+};
+
+/**
+ * Turns off long stack traces.
+ *
+ * @sig () -> ()
+ * @since 0.7.0
+ */
+Task.disableLongStackTraces = function(){
+    longStacks = false;
+};
+
+/**
+ * Creates a task which runs another task at most once and shares its outcome.
+ *
+ * Forks made while the task is running wait for the same run.
+ * Forks made after it has settled get the settled value straight away.
+ *
+ * A rejection is only kept if it passes the predicate;
+ * otherwise the next fork runs the task again.
+ *
+ * If every fork waiting on a run is cancelled, the run is cancelled too
+ * and the next fork starts again.
+ *
+ * @sig (a -> Boolean) -> Task a b -> Task a b
+ * @since 0.7.0
+ */
+Task.cacheWith = _.curry(function(cond, task){
+    var settled = false;
+    var rejected = false;
+    var outcome;
+    var waiting = [];
+    var cancel = null;
+
+    var _settle = function(isRejected){
+        return function(value){
+            var subscribers = waiting;
+            waiting = [];
+            cancel = null;
+
+            if (!isRejected || cond(value)) {
+                settled = true;
+                rejected = isRejected;
+                outcome = value;
+            }
+
+            subscribers.forEach(function(subscriber){
+                isRejected ? subscriber.reject(value) : subscriber.resolve(value);
+            });
+        };
+    };
+
+    return Task(function(reject, resolve){
+        if (settled) {
+            rejected ? reject(outcome) : resolve(outcome);
+            return _.noop;
+        }
+
+        var subscriber = {reject: reject, resolve: resolve};
+        waiting.push(subscriber);
+
+        if (cancel == null) {
+            cancel = _.noop;
+            var _cancel = _run(task, _settle(true), _settle(false));
+            // the task may have settled synchronously
+            if (cancel != null) {
+                cancel = _cancel;
+            }
+        }
+
+        return function(){
+            var index = waiting.indexOf(subscriber);
+            if (index !== -1) {
+                waiting.splice(index, 1);
+                if (waiting.length === 0 && cancel != null) {
+                    var _cancel = cancel;
+                    cancel = null;
+                    _cancel();
+                }
+            }
+        };
+    });
+});
+
+/**
+ * Creates a task which runs another task at most once and shares its outcome.
+ *
+ * Both resolved and rejected values are kept.
+ *
+ * @sig Task a b -> Task a b
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var config = Task.cache(readConfig);
+ *
+ *      // the configuration is only read once
+ *      Task.fork(onRejected, onConfig, config);
+ *      Task.fork(onRejected, onConfig, config);
+ */
+Task.cache = Task.cacheWith(_.T);
+
+/**
+ * Creates a task which runs another task until it resolves once and then shares the resolved value.
+ *
+ * Rejections are not kept, so the next fork after a rejection runs the task again.
+ *
+ * @sig Task a b -> Task a b
+ * @since 0.7.0
+ */
+Task.cacheResolved = Task.cacheWith(_.F);
+
+/**
+ * Creates a function which returns tasks that share a run with every other of its tasks
+ * forked with the same key while that run is in flight.
+ *
+ * The key is made by calling keyFn with the function's arguments.
+ * Forking a task when no run is in flight for its key creates a task by calling taskFn
+ * with the arguments and runs it. Forks made with the same key before it settles
+ * wait for the same run, and are all given its resolved or rejected value.
+ * Once the run settles the key is released, so the next fork starts a new run.
+ *
+ * Cancelling a fork stops it from waiting. The run is only cancelled
+ * once every fork waiting on it is.
+ *
+ * The function has a stats function which returns the number of forks, the number of runs,
+ * the number of forks that shared a run which was already in flight,
+ * the number of runs cancelled and the number of keys in flight.
+ *
+ * @sig (*... -> k) -> (*... -> Task a b) -> (*... -> Task a b)
+ * @since 0.7.0
+ *
+ * @example
+ *
+ *      var getUser = Task.singleFlight(_.identity, function(id){
+ *          return Task.fromAsync(db.users.findById.bind(db.users, id));
+ *      });
+ *
+ *      // only one query is made
+ *      Task.fork(onRejected, onUser, getUser(1));
+ *      Task.fork(onRejected, onUser, getUser(1));
+ */
+Task.singleFlight = _.curry(function(keyFn, taskFn){
+    var flights = new Map();
+    var stats = {forks: 0, runs: 0, shared: 0, cancelled: 0};
+
+    var _settle = function(key, flight, isRejected){
+        return function(value){
+            if (flights.get(key) === flight) {
+                flights.delete(key);
+            }
+            var subscribers = flight.waiting;
+            flight.waiting = [];
+            flight.cancel = null;
+
+            subscribers.forEach(function(subscriber){
+                isRejected ? subscriber.reject(value) : subscriber.resolve(value);
+            });
+        };
+    };
+
+    var flying = _.curryN(taskFn.length, function(){
+        var self = this;
+        var args = arguments;
+        var key = keyFn.apply(self, args);
+
+        return Task(function(reject, resolve){
+            var subscriber = {reject: reject, resolve: resolve};
+            var flight = flights.get(key);
+
+            stats.forks += 1;
+            if (flight) {
+                stats.shared += 1;
+                flight.waiting.push(subscriber);
+            } else {
+                stats.runs += 1;
+                flight = {waiting: [subscriber], cancel: _.noop};
+                flights.set(key, flight);
+                var _cancel = _run(taskFn.apply(self, args), _settle(key, flight, true), _settle(key, flight, false));
+                // the task may have settled synchronously
+                if (flight.cancel != null) {
+                    flight.cancel = _cancel;
+                }
+            }
+
+            return function(){
+                var index = flight.waiting.indexOf(subscriber);
+                if (index !== -1) {
+                    flight.waiting.splice(index, 1);
+                    if (flight.waiting.length === 0 && flight.cancel != null) {
+                        var _cancel = flight.cancel;
+                        flight.cancel = null;
+                        flights.delete(key);
+                        stats.cancelled += 1;
+                        _cancel();
+                    }
+                }
+            };
+        });
+    });
+
+    flying.stats = function(){
+        return {
+            forks: stats.forks,
+            runs: stats.runs,
+            shared: stats.shared,
+            cancelled: stats.cancelled,
+            inFlight: flights.size
+        };
+    };
+
+    return flying;
+});
+
 /**
  * Catches an error a task may throw and rejects with the thrown error.
  *
+ * An error thrown once the task has settled comes from the callbacks it settled with,
+ * so it is thrown on rather than lost.
+ *
  * @sig -> Task a b -> Task a b
  */
 Task.caught = _.curry(function(task){
     return Task(function(reject, resolve){
+        var settled = false;
+        var _settled = function(fn){
+            return function(value){
+                settled = true;
+                fn(value);
+            };
+        };
+        var _caught = function(e){
+            if (settled) {
+                throw e;
+            }
+            reject(e);
+        };
+
+        var outer = catcher;
+        catcher = _caught;
         try {
-            task.exec(reject, resolve);
+            return _run(task, _settled(reject), _settled(resolve));
         } catch(e) {
-            reject(e);
+            _caught(e);
+        } finally {
+            catcher = outer;
         }
     });
 });
@@ -471,16 +2824,37 @@ Task.prototype = _.Obj.concat(Task.prototype, {
     flatten: _.thisify(Task.flatten),
     chain: _.thisify(Task.chain),
     chainRejected: _.thisify(Task.chainRejected),
+    alt: _.thisify(_.flip(Task.alt)),
     fork: _.thisify(Task.fork),
     bimap: _.thisify(Task.bimap),
     immediate: _.thisify(Task.immediate),
     delay: _.thisify(Task.delay),
     timeoutWith: _.thisify(Task.timeoutWith),
     timeout: _.thisify(Task.timeout),
+    retry: _.thisify(Task.retry),
+    cache: _.thisify(Task.cache),
+    cacheResolved: _.thisify(Task.cacheResolved),
+    toPromise: _.thisify(Task.toPromise),
+    finally: _.thisify(Task.finally),
+    label: _.thisify(Task.label),
     caught: _.thisify(Task.caught),
     show: _.thisify(Task.show)
 });
 
 Task.prototype.constructor = Task;
 
+// Fantasy Land names for the type classes Task implements.
+// The module functions already follow Static Land.
+Task['fantasy-land/of'] = Task.of;
+Task['fantasy-land/chainRec'] = Task.chainRec;
+Task.prototype['fantasy-land/map'] = Task.prototype.map;
+Task.prototype['fantasy-land/ap'] = _.thisify(Task.ap);
+Task.prototype['fantasy-land/chain'] = Task.prototype.chain;
+Task.prototype['fantasy-land/concat'] = Task.prototype.concat;
+Task.prototype['fantasy-land/bimap'] = Task.prototype.bimap;
+Task.prototype['fantasy-land/alt'] = Task.prototype.alt;
+
 module.exports = Task;
+
+// the queue is built on the functions above, so it is required once Task is exported
+Task.Queue = require('./Queue');
@@ -0,0 +1,16 @@
+var captureStackTrace = require('capture-stack-trace');
+
+var TaskDefectError = function TaskDefectError(cause, extra) {
+    if (!(this instanceof TaskDefectError)) {
+        return new TaskDefectError(cause, extra);
+    }
+    captureStackTrace(this, this.constructor);
+    this.name = TaskDefectError.name;
+    this.message = "Task callback threw: " + (cause instanceof Error ? cause.message : String(cause));
+    this.cause = cause;
+    this.extra = extra || {};
+}
+TaskDefectError.prototype = Object.create(Error.prototype);
+TaskDefectError.prototype.constructor = TaskDefectError;
+
+module.exports = TaskDefectError;
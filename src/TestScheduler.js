@@ -0,0 +1,121 @@
+/**
+ * A scheduler with a virtual clock that only moves when told to.
+ *
+ * Use it with Task.setScheduler to test tasks that wait without waiting for real.
+ *
+ * @example
+ *
+ *      var scheduler = Task.TestScheduler();
+ *      Task.setScheduler(scheduler);
+ *
+ *      Task.fork(onRejected, onResolved, Task.delay(1000, Task.of(1)));
+ *      scheduler.advance(1000);
+ *      // onResolved has been called with 1
+ *
+ *      Task.setScheduler(Task.Scheduler);
+ */
+var TestScheduler = function TestScheduler(start) {
+    if (!(this instanceof TestScheduler)) {
+        return new TestScheduler(start);
+    }
+    this.time = start || 0;
+    this.timers = [];
+}
+
+// keeps runAll from looping forever on tasks that reschedule themselves
+TestScheduler.maxTimers = 100000;
+
+/**
+ * Removes and returns the earliest timer due at or before a time.
+ *
+ * Timers due at the same time are returned in the order they were scheduled.
+ *
+ * @sig TestScheduler -> Number -> {at: Number, fn: () -> ()}|null
+ */
+function _next(scheduler, until) {
+    var timers = scheduler.timers;
+    var earliest = -1;
+    for (var i = 0; i < timers.length; i++) {
+        if (timers[i].at <= until && (earliest === -1 || timers[i].at < timers[earliest].at)) {
+            earliest = i;
+        }
+    }
+
+    return earliest === -1 ? null : timers.splice(earliest, 1)[0];
+}
+
+/**
+ * @sig () -> Number
+ */
+TestScheduler.prototype.now = function(){
+    return this.time;
+};
+
+/**
+ * @sig Number -> (() -> ()) -> (() -> ())
+ */
+TestScheduler.prototype.delay = function(ms, fn){
+    var timers = this.timers;
+    var timer = {at: this.time + Math.max(0, ms || 0), fn: fn};
+    timers.push(timer);
+
+    return function(){
+        var index = timers.indexOf(timer);
+        if (index !== -1) {
+            timers.splice(index, 1);
+        }
+    };
+};
+
+/**
+ * Immediates run the next time the clock is advanced, even by zero milliseconds.
+ *
+ * @sig (() -> ()) -> (() -> ())
+ */
+TestScheduler.prototype.immediate = function(fn){
+    return this.delay(0, fn);
+};
+
+/**
+ * The number of timers waiting to run.
+ *
+ * @sig () -> Number
+ */
+TestScheduler.prototype.pending = function(){
+    return this.timers.length;
+};
+
+/**
+ * Moves the clock forward, running every timer that becomes due in order.
+ *
+ * @sig Number -> ()
+ */
+TestScheduler.prototype.advance = function(ms){
+    var until = this.time + ms;
+    var timer;
+    while ((timer = _next(this, until)) != null) {
+        this.time = timer.at;
+        timer.fn();
+    }
+    this.time = until;
+};
+
+/**
+ * Runs timers in order until none are left, moving the clock to each one.
+ *
+ * @sig () -> ()
+ */
+TestScheduler.prototype.runAll = function(){
+    var ran = 0;
+    var timer;
+    while ((timer = _next(this, Infinity)) != null) {
+        ran += 1;
+        if (ran > TestScheduler.maxTimers) {
+            throw new Error('TestScheduler ran more than ' + TestScheduler.maxTimers + ' timers; a task may be rescheduling itself forever');
+        }
+        this.time = timer.at;
+        timer.fn();
+    }
+};
+
+module.exports = TestScheduler;
@@ -2,11 +2,13 @@ var captureStackTrace = require('capture-stack-trace');
 
 var TimeoutError = function TimeoutError(time, extra) {
     if (!(this instanceof TimeoutError)) {
-        return new TimeoutError(time);
+        return new TimeoutError(time, extra);
     }
     captureStackTrace(this, this.constructor);
     this.name = TimeoutError.name;
     this.message = "Task timed out after " + time + 'ms';
+    this.time = time;
+    this.cause = null;
     this.extra = extra || {};
 }
 TimeoutError.prototype = Object.create(Error.prototype);
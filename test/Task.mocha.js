@@ -1,6 +1,8 @@
 var assert = require('assert');
 
 var _ = require('lambdash');
+var Either = require('lambdash.either');
+var Maybe = require('lambdash.maybe');
 var Task = require('../src/Task');
 
 function delayedTask(delay, fn, rejected) {
@@ -53,6 +55,26 @@ describe('Task', function(){
 
             task.exec(_.compose(done, equal(1)), tf);
         });
+
+        it('should not overflow the stack for long synchronous chains', function(done){
+            var task = Task.of(0);
+            for (var i = 0; i < 20000; i++) {
+                task = Task.map(_.add(1), task);
+            }
+
+            task.exec(tf, _.compose(done, equal(20000)));
+        });
+
+        it('should reject with a TaskDefectError if the function throws', function(done){
+            var err = new Error('thrown');
+            var task = Task.map(function(){ throw err; }, Task.of(1));
+
+            task.exec(function(reason){
+                assert(reason instanceof Task.TaskDefectError);
+                assert.equal(reason.cause, err);
+                done();
+            }, tf);
+        });
     });
 
     describe('#mapRejected', function(){
@@ -91,6 +113,28 @@ describe('Task', function(){
 
             Task.fork(tf, _.compose(done, equal(1)), t);
         });
+
+        it('should reject with a TaskDefectError if the transform throws', function(done){
+            var err = new Error('thrown');
+            var t = Task.recover(_.eq(1), function(){ throw err; }, Task.reject(1));
+
+            Task.fork(function(reason){
+                assert(reason instanceof Task.TaskDefectError);
+                assert.equal(reason.cause, err);
+                done();
+            }, tf, t);
+        });
+
+        it('should reject with a TaskDefectError if the condition throws', function(done){
+            var err = new Error('thrown');
+            var t = Task.recover(function(){ throw err; }, _.add(2), Task.reject(1));
+
+            Task.fork(function(reason){
+                assert(reason instanceof Task.TaskDefectError);
+                assert.equal(reason.cause, err);
+                done();
+            }, tf, t);
+        });
     });
 
     describe('#alwaysRecover', function(){
@@ -267,8 +311,196 @@ describe('Task', function(){
                 });
             });
         });
+
+        it('should cancel the other task when one of them rejects', function(done){
+            var cancelled = false;
+            var slow = Task(function(reject, resolve){
+                var timer = setTimeout(_.thunk(resolve, ["slow"]), 20);
+                return function(){
+                    cancelled = true;
+                    clearTimeout(timer);
+                };
+            });
+
+            var task = Task.concatParallel(slow, Task.delay(5, Task.reject("err")));
+
+            task.exec(function(reason){
+                assert.equal(reason, "err");
+                assert(cancelled);
+                done();
+            }, tf);
+        });
+
+        it('should cancel both tasks when cancelled', function(done){
+            var task = Task.concatParallel(delayedTask(10, _.always([1])), delayedTask(20, _.always([2])));
+
+            var cancel = Task.fork(tf, tf, task);
+            cancel();
+            setTimeout(done, 30);
+        });
+    });
+
+
+    describe('#alt', function(){
+        it('should resolve with the first task if it resolves, without running the second', function(done){
+            var ran = false;
+            var second = Task(function(reject, resolve){
+                ran = true;
+                resolve(2);
+            });
+
+            Task.alt(Task.of(1), second).exec(tf, function(value){
+                assert.equal(value, 1);
+                assert(!ran);
+                done();
+            });
+        });
+
+        it('should run the second task if the first rejects', function(done){
+            Task.alt(Task.reject(1), Task.reject(2)).exec(_.compose(done, equal(2)), tf);
+        });
+    });
+
+    describe('#chainRec', function(){
+        it('should chain the function until it is done', function(done){
+            var task = Task.chainRec(function(next, done, pair){
+                return pair[0] === 0
+                    ? Task.of(done(pair[1]))
+                    : delayedTask(1, _.always(next([pair[0] - 1, pair[1] * pair[0]])));
+            }, [5, 1]);
+
+            task.exec(tf, _.compose(done, equal(120)));
+        });
+
+        it('should reject if a step rejects', function(done){
+            var task = Task.chainRec(function(next, done, n){
+                return n === 3 ? Task.reject('stuck') : Task.of(next(n + 1));
+            }, 0);
+
+            task.exec(_.compose(done, equal('stuck')), tf);
+        });
+
+        it('should cancel the running step', function(done){
+            var steps = 0;
+            var task = Task.chainRec(function(next, done, n){
+                steps += 1;
+                return Task.delay(5, Task.of(next(n + 1)));
+            }, 0);
+
+            var cancel = Task.fork(tf, tf, task);
+            setTimeout(cancel, 12);
+            setTimeout(function(){
+                var stopped = steps;
+                setTimeout(function(){
+                    assert.equal(steps, stopped);
+                    done();
+                }, 20);
+            }, 13);
+        });
     });
 
+    describe('#do', function(){
+        it('should chain the yielded tasks and resolve with the returned value', function(done){
+            var task = Task.do(function*(){
+                var a = yield Task.of(1);
+                var b = yield Task.delay(5, Task.of(a + 1));
+                return a + b;
+            });
+
+            task.exec(tf, _.compose(done, equal(3)));
+        });
+
+        it('should not run the generator until forked and should run it again on every fork', function(done){
+            var runs = 0;
+            var task = Task.do(function*(){
+                runs += 1;
+                return yield Task.of(runs);
+            });
+
+            assert.equal(runs, 0);
+            task.exec(tf, function(first){
+                task.exec(tf, function(second){
+                    assert.equal(first, 1);
+                    assert.equal(second, 2);
+                    done();
+                });
+            });
+        });
+
+        it('should reject with the rejected value of a yielded task', function(done){
+            var task = Task.do(function*(){
+                yield Task.reject('oops');
+                return 'ok';
+            });
+
+            task.exec(_.compose(done, equal('oops')), tf);
+        });
+
+        it('should throw rejected values into the generator', function(done){
+            var task = Task.do(function*(){
+                try {
+                    yield Task.reject('oops');
+                } catch (e) {
+                    return 'recovered from ' + e;
+                }
+            });
+
+            task.exec(tf, _.compose(done, equal('recovered from oops')));
+        });
+
+        it('should reject with exceptions thrown by the generator', function(done){
+            var task = Task.do(function*(){
+                var a = yield Task.of(1);
+                throw new Error('thrown ' + a);
+            });
+
+            task.exec(function(reason){
+                assert.equal(reason.message, 'thrown 1');
+                done();
+            }, tf);
+        });
+
+        it('should reject if the generator yields something other than a task', function(done){
+            var task = Task.do(function*(){
+                yield 1;
+            });
+
+            task.exec(function(reason){
+                assert(reason instanceof TypeError);
+                done();
+            }, tf);
+        });
+
+        it('should cancel the running task and finish the generator when cancelled', function(done){
+            var finished = false;
+            var task = Task.do(function*(){
+                try {
+                    yield Task.of(1);
+                    yield Task.delay(10, Task.of(2));
+                    tf();
+                } finally {
+                    finished = true;
+                }
+            });
+
+            var cancel = Task.fork(tf, tf, task);
+            cancel();
+            assert(finished);
+            setTimeout(done, 20);
+        });
+
+        it('should not overflow the stack when yielding many synchronous tasks', function(done){
+            var task = Task.do(function*(){
+                var sum = 0;
+                for (var i = 0; i < 20000; i++) {
+                    sum += yield Task.of(1);
+                }
+                return sum;
+            });
+
+            task.exec(tf, _.compose(done, equal(20000)));
+        });
+    });
 
     describe('#series', function(){
 
@@ -318,6 +550,19 @@ describe('Task', function(){
                 assert.equal(v.length, 0);
             }));
         });
+
+        it('should not overflow the stack for a large collection of synchronous tasks', function(done){
+            var tasks = [];
+            for (var i = 0; i < 20000; i++) {
+                tasks.push(Task.of(i));
+            }
+
+            Task.series(tasks).exec(tf, function(result){
+                assert.equal(result.length, 20000);
+                assert.equal(result[19999], 19999);
+                done();
+            });
+        });
     });
 
     describe('#parallel', function(){
@@ -404,273 +649,2561 @@ describe('Task', function(){
                 assert.equal(v[1].length, 0);
             }), tf);
         });
-    });
 
-    describe('#ap', function(){
-        it('should apply a task that resolves to a function to a task that resolves to a value', function(done){
-            var taskFn = Task.of(_.add(1));
-            var taskV = Task.of(1);
+        it('should give the same result when forked more than once', function(done){
+            var task = Task.partition([Task.of(1), Task.reject(2)]);
 
-            var t = Task.ap(taskFn, taskV);
-
-            t.exec(tf, _.compose(done, equal(2)));
+            task.exec(tf, function(first){
+                task.exec(tf, function(second){
+                    assert.deepEqual(first, [[2],[1]]);
+                    assert.deepEqual(second, [[2],[1]]);
+                    done();
+                });
+            });
         });
+    });
 
-        it('should return a reject if the function task is rejected', function(done){
-            var taskFn = Task.reject(1);
-            var taskV = Task.reject(2);
-
-            var t = Task.ap(taskFn, taskV);
+    describe('#settle', function(){
+        it('should resolve with the outcome of every task as an Either in the order of the tasks', function(done){
+            var task = Task.settle([
+                delayedTask(20, _.always(1)),
+                delayedTask(10, _.always(2), true),
+                delayedTask(5, _.always(3))
+            ]);
 
-            t.exec(_.compose(done, equal(1)), tf);
+            task.exec(tf, function(result){
+                assert(_.Arr.member(result));
+                assert.equal(result.length, 3);
+                assert(Either.isRight(result[0]));
+                assert.equal(result[0].value, 1);
+                assert(Either.isLeft(result[1]));
+                assert.equal(result[1].value, 2);
+                assert(Either.isRight(result[2]));
+                assert.equal(result[2].value, 3);
+                done();
+            });
         });
 
-        it('should return a reject if the value task is rejected', function(done){
-            var taskFn = Task.of(_.add(1));
-            var taskV = Task.reject(2);
-
-            var t = Task.ap(taskFn, taskV);
-
-            t.exec(_.compose(done, equal(2)), tf);
+        it('should give the same result when forked more than once', function(done){
+            var task = Task.settle([Task.of(1), Task.reject(2)]);
 
+            task.exec(tf, function(first){
+                task.exec(tf, function(second){
+                    assert.equal(first.length, 2);
+                    assert.equal(second.length, 2);
+                    assert.equal(second[0].value, 1);
+                    assert.equal(second[1].value, 2);
+                    done();
+                });
+            });
         });
 
+        it('should resolve with an empty collection if given an empty collection', function(done){
+            var task = Task.settle([]);
+            task.exec(tf, _.compose(done, function(v){
+                assert(_.Arr.member(v));
+                assert.equal(v.length, 0);
+            }));
+        });
     });
 
-    describe('#flatten', function(){
-        it('should resolve to the value contained in a nested task', function(done){
-            var task = Task.flatten(Task.of(Task.of(1)));
-
-            task.exec(tf, _.compose(done, equal(1)))
+    describe('#parallelLimit', function(){
+        it('should throw a TypeError if the limit is not a positive integer or Infinity', function(){
+            [0, -1, NaN, 1.5, '2', undefined].forEach(function(n){
+                assert.throws(function(){
+                    Task.parallelLimit(n, [Task.of(1)]);
+                }, TypeError);
+            });
+            assert(Task.member(Task.parallelLimit(Infinity, [Task.of(1)])));
         });
 
-        it('should return a rejected value if given a task that rejects', function(done){
-            var task = Task.flatten(Task.reject('oops'));
+        var tracked = function(counter, delay, value, rejected) {
+            return Task(function(reject, resolve){
+                counter.running += 1;
+                counter.max = Math.max(counter.max, counter.running);
+                setTimeout(function(){
+                    counter.running -= 1;
+                    rejected ? reject(value) : resolve(value);
+                }, delay);
+            });
+        };
+
+        it('should run no more than the given number of tasks at once', function(done){
+            var counter = {running: 0, max: 0};
+            var task = Task.parallelLimit(2, [
+                tracked(counter, 20, 1),
+                tracked(counter, 10, 2),
+                tracked(counter, 5, 3),
+                tracked(counter, 10, 4),
+                tracked(counter, 5, 5)
+            ]);
 
-            task.exec(_.compose(done, equal('oops')), tf);
+            task.exec(tf, function(result){
+                assert.deepEqual(result, [1,2,3,4,5]);
+                assert.equal(counter.max, 2);
+                done();
+            });
         });
-    });
-
-    describe('#chain', function(){
-        it('should flatmap a task', function(done){
-            var fn = function(number) {
-                return Task.of(number + 1);
-            };
 
-            var task = Task.chain(fn, Task.of(1));
+        it('should reject and stop starting tasks if any task rejects', function(done){
+            var counter = {running: 0, max: 0};
+            var started = false;
+            var task = Task.parallelLimit(2, [
+                tracked(counter, 10, 1),
+                tracked(counter, 5, 2, true),
+                Task(function(){ started = true; })
+            ]);
 
-            task.exec(tf, _.compose(done, equal(2)));
+            task.exec(function(reason){
+                assert.equal(reason, 2);
+                assert(!started);
+                done();
+            }, tf);
         });
 
-        it('should return a reject if the initial value is rejected', function(done){
-            var fn = function(number) {
-                return Task.of(number + 1);
-            };
+        it('should handle many synchronous tasks', function(done){
+            var tasks = [];
+            for (var i = 0; i < 10000; i++) {
+                tasks.push(Task.of(i));
+            }
 
-            var task = Task.chain(fn, Task.reject(1));
+            Task.parallelLimit(3, tasks).exec(tf, function(result){
+                assert.equal(result.length, 10000);
+                assert.equal(result[9999], 9999);
+                done();
+            });
+        });
 
-            task.exec(_.compose(done, equal(1)), tf);
+        it('should resolve with an empty collection if given an empty collection', function(done){
+            var task = Task.parallelLimit(2, []);
+            task.exec(tf, _.compose(done, function(v){
+                assert(_.Arr.member(v));
+                assert.equal(v.length, 0);
+            }));
         });
     });
 
-    describe('#chainRejected', function(){
-        it('should flatmap a task\'s rejected value', function(done){
-            var fn = function(number) {
-                return Task.of(number + 1);
-            };
+    describe('#partitionLimit', function(){
+        it('should throw a TypeError if the limit is not a positive integer or Infinity', function(){
+            [0, -1, NaN, 1.5, '2', undefined].forEach(function(n){
+                assert.throws(function(){
+                    Task.partitionLimit(n, [Task.of(1)]);
+                }, TypeError);
+            });
+        });
 
-            var task = Task.chainRejected(fn, Task.reject(1));
+        it('should collect rejected and resolved values in the order of the tasks', function(done){
+            var task = Task.partitionLimit(2, [
+                delayedTask(20, _.always(1)),
+                delayedTask(10, _.always(2), true),
+                delayedTask(5, _.always(3)),
+                delayedTask(1, _.always(4), true)
+            ]);
 
-            task.exec(tf, _.compose(done, equal(2)));
+            task.exec(tf, function(result){
+                assert.deepEqual(result, [[2,4],[1,3]]);
+                done();
+            });
         });
 
-        it('should return the original value if the value is resolved', function(done){
-            var fn = function(number) {
-                return Task.of(number + 1);
-            };
+        it('should give the same result when forked more than once', function(done){
+            var task = Task.partitionLimit(1, [Task.of(1), Task.reject(2)]);
 
-            var task = Task.chainRejected(fn, Task.of(1));
+            task.exec(tf, function(first){
+                task.exec(tf, function(second){
+                    assert.deepEqual(first, [[2],[1]]);
+                    assert.deepEqual(second, [[2],[1]]);
+                    done();
+                });
+            });
+        });
 
-            task.exec(tf, _.compose(done, equal(1)));
+        it('should resolve with an empty resolved and rejected collection if given an empty collection', function(done){
+            var task = Task.partitionLimit(2, []);
+            task.exec(tf, _.compose(done, function(v){
+                assert.deepEqual(v, [[],[]]);
+            }));
         });
     });
 
+    describe('#props', function(){
+        it('should resolve with the results of the tasks under the same keys', function(done){
+            var task = Task.props({
+                user: delayedTask(10, _.always('bob')),
+                settings: {
+                    perms: delayedTask(1, _.always(['read'])),
+                    prefs: Task.of({theme: 'dark'})
+                },
+                id: 1
+            });
 
-    describe('#fork', function(){
-        it('should execute a task with a rejected and resolved function', function(done){
-            var t = Task.of(1);
+            task.exec(tf, function(result){
+                assert.deepEqual(result, {
+                    user: 'bob',
+                    settings: {perms: ['read'], prefs: {theme: 'dark'}},
+                    id: 1
+                });
+                done();
+            });
+        });
 
-            Task.fork(tf, _.compose(done, equal(1)), t);
+        it('should resolve Maps with Maps', function(done){
+            var key = {};
+            var task = Task.props(new Map([
+                ['a', Task.of(1)],
+                [key, new Map([['b', Task.of(2)]])]
+            ]));
 
+            task.exec(tf, function(result){
+                assert(result instanceof Map);
+                assert.equal(result.get('a'), 1);
+                assert(result.get(key) instanceof Map);
+                assert.equal(result.get(key).get('b'), 2);
+                done();
+            });
         });
 
-        it('should execute a task with a rejected and resolved function', function(done){
-            var t = Task.reject(1);
-
-            Task.fork(_.compose(done, equal(1)),tf, t);
+        it('should reject with the path to the task that failed and cancel the others', function(done){
+            var cancelled = false;
+            var task = Task.props({
+                user: Task(function(){
+                    return function(){
+                        cancelled = true;
+                    };
+                }),
+                settings: {
+                    perms: delayedTask(1, _.always('denied'), true)
+                }
+            });
 
+            task.exec(function(failure){
+                assert.deepEqual(failure, {path: ['settings', 'perms'], reason: 'denied'});
+                setTimeout(function(){
+                    assert(cancelled);
+                    done();
+                }, 0);
+            }, tf);
         });
-    });
 
-    describe('#bimap', function() {
-        it('should create a new task which maps the right and the left of an existing task', function(done){
-            var t1 = Task.of(1);
-            var t2 = Task.reject(4);
+        it('should run the tasks in parallel', function(done){
+            var running = 0;
+            var most = 0;
+            var counted = function(){
+                return Task(function(reject, resolve){
+                    running += 1;
+                    most = Math.max(most, running);
+                    setTimeout(function(){
+                        running -= 1;
+                        resolve(1);
+                    }, 1);
+                });
+            };
 
-            var fn1 = _.add(1);
-            var fn2 = _.sub(1);
+            Task.props({a: counted(), b: counted(), c: {d: counted()}}).exec(tf, function(){
+                assert.equal(most, 3);
+                done();
+            });
+        });
 
-            Task.bimap(fn1, fn2, t1).exec(tf, function(v){
-                assert.equal(v, 0);
-                Task.bimap(fn1, fn2, t2).exec(_.compose(done, equal(5)), tf);
+        it('should resolve with an empty record if given an empty record', function(done){
+            Task.props({}).exec(tf, function(result){
+                assert.deepEqual(result, {});
+                done();
             });
         });
     });
 
-    describe('#fromAsync', function(){
-        it('should create a task from an async function', function(done){
-            var fn = function(cb) {
-                process.nextTick(function(){
-                    cb(null, "ok");
+    describe('#propsSeries', function(){
+        it('should run the tasks one after another in the order of their keys', function(done){
+            var order = [];
+            var logged = function(name, delay){
+                return delayedTask(delay, function(){
+                    order.push(name);
+                    return name;
                 });
             };
 
-            var task = Task.fromAsync(fn);
+            var task = Task.propsSeries({
+                a: logged('a', 10),
+                b: {c: logged('c', 5), d: logged('d', 1)},
+                e: logged('e', 1)
+            });
 
-            task.exec(tf, _.compose(done, equal('ok')));
+            task.exec(tf, function(result){
+                assert.deepEqual(order, ['a', 'c', 'd', 'e']);
+                assert.deepEqual(result, {a: 'a', b: {c: 'c', d: 'd'}, e: 'e'});
+                done();
+            });
         });
 
-        it('should reject if the function calls back with an error', function(done){
-            var fn = function(cb) {
-                cb("oh no", "ok");
-            };
-
-            var task = Task.fromAsync(fn);
+        it('should not start any more tasks after one rejects', function(done){
+            var started = false;
+            var task = Task.propsSeries({
+                a: Task.reject('oops'),
+                b: Task(function(reject, resolve){
+                    started = true;
+                    resolve(1);
+                })
+            });
+
+            task.exec(function(failure){
+                assert.deepEqual(failure, {path: ['a'], reason: 'oops'});
+                assert(!started);
+                done();
+            }, tf);
+        });
+    });
+
+    describe('#race', function(){
+        it('should resolve with the first task to settle', function(done){
+            var task = Task.race([
+                delayedTask(20, _.always(1)),
+                delayedTask(10, _.always(2)),
+                delayedTask(30, _.always(3), true)
+            ]);
+
+            task.exec(tf, _.compose(done, equal(2)));
+        });
+
+        it('should reject if the first task to settle rejects', function(done){
+            var task = Task.race([
+                delayedTask(20, _.always(1)),
+                delayedTask(10, _.always(2), true)
+            ]);
+
+            task.exec(_.compose(done, equal(2)), tf);
+        });
+
+        it('should cancel the tasks that lose', function(done){
+            var cancelled = 0;
+            var loser = Task(function(reject, resolve){
+                var timer = setTimeout(_.thunk(resolve, 1), 20);
+                return function(){
+                    cancelled += 1;
+                    clearTimeout(timer);
+                };
+            });
+
+            Task.race([loser, Task.delay(5, Task.of(2)), loser]).exec(tf, function(value){
+                assert.equal(value, 2);
+                assert.equal(cancelled, 2);
+                done();
+            });
+        });
+
+        it('should not start the remaining tasks if a task settles synchronously', function(done){
+            var task = Task.race([Task.of(1), Task(tf)]);
+
+            task.exec(tf, _.compose(done, equal(1)));
+        });
+    });
+
+    describe('#any', function(){
+        it('should resolve with the first task to resolve', function(done){
+            var task = Task.any([
+                delayedTask(10, _.always(1), true),
+                delayedTask(30, _.always(2)),
+                delayedTask(20, _.always(3))
+            ]);
+
+            task.exec(tf, _.compose(done, equal(3)));
+        });
+
+        it('should reject with an AggregateError of every rejected value in order if all tasks reject', function(done){
+            var task = Task.any([
+                delayedTask(20, _.always(1), true),
+                delayedTask(10, _.always(2), true),
+                delayedTask(30, _.always(3), true)
+            ]);
+
+            task.exec(function(err){
+                assert(err instanceof Task.AggregateError);
+                assert.deepEqual(err.errors, [1,2,3]);
+                assert.equal(err.cause, 1);
+                done();
+            }, tf);
+        });
+
+        it('should cancel the remaining tasks once one resolves', function(done){
+            var cancelled = false;
+            var loser = Task(function(reject, resolve){
+                var timer = setTimeout(_.thunk(resolve, 1), 20);
+                return function(){
+                    cancelled = true;
+                    clearTimeout(timer);
+                };
+            });
+
+            Task.any([loser, Task.delay(5, Task.of(2))]).exec(tf, function(value){
+                assert.equal(value, 2);
+                assert(cancelled);
+                done();
+            });
+        });
+
+        it('should reject with an empty AggregateError if given an empty collection', function(done){
+            Task.any([]).exec(_.compose(done, function(err){
+                assert(err instanceof Task.AggregateError);
+                assert.deepEqual(err.errors, []);
+            }), tf);
+        });
+    });
+
+    describe('#ap', function(){
+        it('should apply a task that resolves to a function to a task that resolves to a value', function(done){
+            var taskFn = Task.of(_.add(1));
+            var taskV = Task.of(1);
+
+            var t = Task.ap(taskFn, taskV);
+
+            t.exec(tf, _.compose(done, equal(2)));
+        });
+
+        it('should return a reject if the function task is rejected', function(done){
+            var taskFn = Task.reject(1);
+            var taskV = Task.reject(2);
+
+            var t = Task.ap(taskFn, taskV);
+
+            t.exec(_.compose(done, equal(1)), tf);
+        });
+
+        it('should return a reject if the value task is rejected', function(done){
+            var taskFn = Task.of(_.add(1));
+            var taskV = Task.reject(2);
+
+            var t = Task.ap(taskFn, taskV);
+
+            t.exec(_.compose(done, equal(2)), tf);
+
+        });
+
+        it('should reject with a TaskDefectError if the function throws', function(done){
+            var err = new Error('thrown');
+            var t = Task.ap(Task.of(function(){ throw err; }), Task.of(1));
+
+            t.exec(function(reason){
+                assert(reason instanceof Task.TaskDefectError);
+                assert.equal(reason.cause, err);
+                done();
+            }, tf);
+        });
+
+        it('should settle the same way as map when the function throws', function(done){
+            var f = function(){ throw new Error('thrown'); };
+
+            Task.ap(Task.of(f), Task.of(1)).exec(function(left){
+                Task.map(f, Task.of(1)).exec(function(right){
+                    assert.equal(left.name, right.name);
+                    assert.equal(left.message, right.message);
+                    done();
+                }, tf);
+            }, tf);
+        });
+
+    });
+
+    describe('#flatten', function(){
+        it('should resolve to the value contained in a nested task', function(done){
+            var task = Task.flatten(Task.of(Task.of(1)));
+
+            task.exec(tf, _.compose(done, equal(1)))
+        });
+
+        it('should return a rejected value if given a task that rejects', function(done){
+            var task = Task.flatten(Task.reject('oops'));
+
+            task.exec(_.compose(done, equal('oops')), tf);
+        });
+    });
+
+    describe('#chain', function(){
+        it('should flatmap a task', function(done){
+            var fn = function(number) {
+                return Task.of(number + 1);
+            };
+
+            var task = Task.chain(fn, Task.of(1));
+
+            task.exec(tf, _.compose(done, equal(2)));
+        });
+
+        it('should return a reject if the initial value is rejected', function(done){
+            var fn = function(number) {
+                return Task.of(number + 1);
+            };
+
+            var task = Task.chain(fn, Task.reject(1));
+
+            task.exec(_.compose(done, equal(1)), tf);
+        });
+
+        it('should cancel the chained task when cancelled', function(done){
+            var started = false;
+            var fn = function(number) {
+                started = true;
+                return Task.delay(10, Task.of(number + 1));
+            };
+
+            var cancel = Task.fork(tf, tf, Task.chain(fn, Task.delay(10, Task.of(1))));
+            setTimeout(function(){
+                assert(started);
+                cancel();
+            }, 15);
+            setTimeout(done, 30);
+        });
+
+        it('should not run the chained function if cancelled first', function(done){
+            var cancel = Task.fork(tf, tf, Task.chain(tf, Task.delay(10, Task.of(1))));
+            cancel();
+            setTimeout(done, 20);
+        });
+
+        it('should not overflow the stack for deeply recursive synchronous chains', function(done){
+            var loop = function(n) {
+                return Task.chain(function(n){
+                    return n ? loop(n - 1) : Task.of('finished');
+                }, Task.of(n));
+            };
+
+            var resolved = false;
+            Task.fork(tf, function(value){
+                assert.equal(value, 'finished');
+                resolved = true;
+            }, loop(20000));
+
+            // synchronous tasks still settle before fork returns
+            assert(resolved);
+            done();
+        });
+
+        it('should reject with a TaskDefectError if the function throws', function(done){
+            var err = new Error('thrown');
+            var task = Task.chain(function(){ throw err; }, Task.of(1));
+
+            task.exec(function(reason){
+                assert(reason instanceof Task.TaskDefectError);
+                assert.equal(reason.cause, err);
+                done();
+            }, tf);
+        });
+    });
+
+    describe('#chainRejected', function(){
+        it('should flatmap a task\'s rejected value', function(done){
+            var fn = function(number) {
+                return Task.of(number + 1);
+            };
+
+            var task = Task.chainRejected(fn, Task.reject(1));
+
+            task.exec(tf, _.compose(done, equal(2)));
+        });
+
+        it('should return the original value if the value is resolved', function(done){
+            var fn = function(number) {
+                return Task.of(number + 1);
+            };
+
+            var task = Task.chainRejected(fn, Task.of(1));
+
+            task.exec(tf, _.compose(done, equal(1)));
+        });
+    });
+
+
+    describe('#fork', function(){
+        it('should execute a task with a rejected and resolved function', function(done){
+            var t = Task.of(1);
+
+            Task.fork(tf, _.compose(done, equal(1)), t);
+
+        });
+
+        it('should execute a task with a rejected and resolved function', function(done){
+            var t = Task.reject(1);
+
+            Task.fork(_.compose(done, equal(1)),tf, t);
+
+        });
+
+        it('should return a function that cancels the task', function(done){
+            var cancelled = 0;
+            var t = Task(function(reject, resolve){
+                var timer = setTimeout(_.thunk(resolve, 1), 10);
+                return function(){
+                    cancelled += 1;
+                    clearTimeout(timer);
+                };
+            });
+
+            var cancel = Task.fork(tf, tf, t);
+            assert(_.Fun.member(cancel));
+            cancel();
+            cancel();
+            assert.equal(cancelled, 1);
+            setTimeout(done, 20);
+        });
+
+        it('should return a function that cancels a task which does not support cancellation', function(done){
+            var cancel = Task.fork(tf, tf, delayedTask(10, _.always(1)));
+            assert(_.Fun.member(cancel));
+            cancel();
+            setTimeout(done, 20);
+        });
+
+        it('should only pass on the first time a task settles', function(done){
+            var calls = 0;
+            var task = Task.chain(function(value){
+                calls += 1;
+                return Task.of(value);
+            }, Task(function(reject, resolve){
+                resolve(1);
+                resolve(2);
+                reject(3);
+            }));
+
+            Task.fork(tf, function(value){
+                assert.equal(value, 1);
+                setTimeout(function(){
+                    assert.equal(calls, 1);
+                    done();
+                }, 5);
+            }, task);
+        });
+
+        it('should settle a synchronous task before returning when forked from a deeply nested callback', function(){
+            var unsettled = [];
+            var deep = function(n) {
+                var task = Task.of(0);
+                for (var i = 0; i < n; i++) {
+                    task = Task.map(_.identity, task);
+                }
+                return task;
+            };
+
+            for (var n = 0; n < 210; n++) {
+                Task.fork(tf, function(){
+                    var result = null;
+                    Task.fork(tf, function(v){ result = v; }, Task.of(1));
+                    if (result !== 1) {
+                        unsettled.push(n);
+                    }
+                }, deep(n));
+            }
+
+            assert.deepEqual(unsettled, []);
+        });
+
+        it('should not leave work from a fork that threw to run during a later fork', function(){
+            var leaked = [];
+            var bad = Task(function(){
+                throw new Error('bad');
+            });
+
+            for (var n = 0; n < 110; n++) {
+                var ran = false;
+                var good = Task(function(reject, resolve){
+                    ran = true;
+                    resolve(1);
+                });
+                var task = Task.of(0);
+                for (var i = 0; i < n; i++) {
+                    task = Task.map(_.identity, task);
+                }
+
+                assert.throws(function(){
+                    Task.fork(_.noop, _.noop, Task.chain(function(){
+                        return Task.parallel([bad, good]);
+                    }, task));
+                }, /bad/);
+
+                ran = false;
+                Task.fork(tf, _.noop, Task.of('x'));
+                if (ran) {
+                    leaked.push(n);
+                }
+            }
+
+            assert.deepEqual(leaked, []);
+        });
+    });
+
+    describe('#enableStrict', function(){
+        afterEach(function(){
+            Task.disableStrict();
+        });
+
+        it('should report a task that settles more than once along with where it was constructed', function(){
+            var violations = [];
+            Task.enableStrict(function(err){
+                violations.push(err);
+            });
+
+            var task = Task(function(reject, resolve){
+                resolve(1);
+                reject(2);
+            });
+            Task.fork(_.noop, _.noop, task);
+
+            assert.equal(violations.length, 1);
+            assert(violations[0] instanceof Error);
+            assert.equal(violations[0].message, 'Task settled more than once');
+            assert.equal(violations[0].task, task);
+            assert.equal(violations[0].cause, 2);
+            assert(/Task\.mocha\.js/.test(violations[0].constructedAt));
+        });
+
+        it('should report a task that settles after it has been cancelled', function(done){
+            var violations = [];
+            Task.enableStrict(function(err){
+                violations.push(err);
+            });
+
+            var task = Task(function(reject, resolve){
+                setTimeout(_.thunk(resolve, 1), 5);
+                return _.noop;
+            });
+            var cancel = Task.fork(tf, tf, task);
+            cancel();
+
+            setTimeout(function(){
+                assert.equal(violations.length, 1);
+                assert.equal(violations[0].message, 'Task settled after it was cancelled');
+                done();
+            }, 10);
+        });
+
+        it('should report a task that throws after it has settled', function(){
+            var violations = [];
+            Task.enableStrict(function(err){
+                violations.push(err);
+            });
+
+            var task = Task(function(reject, resolve){
+                resolve(1);
+                throw new Error('thrown');
+            });
+
+            assert.throws(function(){
+                Task.fork(_.noop, _.noop, task);
+            });
+            assert.equal(violations.length, 1);
+            assert.equal(violations[0].message, 'Task threw after it settled');
+            assert.equal(violations[0].cause.message, 'thrown');
+        });
+
+        it('should not report anything once disabled', function(){
+            var violations = [];
+            Task.enableStrict(function(err){
+                violations.push(err);
+            });
+            Task.disableStrict();
+
+            Task.fork(_.noop, _.noop, Task(function(reject, resolve){
+                resolve(1);
+                resolve(2);
+            }));
+
+            assert.equal(violations.length, 0);
+        });
+    });
+
+    describe('#enableLongStackTraces', function(){
+        afterEach(function(){
+            Task.disableLongStackTraces();
+        });
+
+        it('should add where the tasks an error passed through were constructed to its stack', function(done){
+            Task.enableLongStackTraces();
+
+            function failLater() {
+                return Task.delay(5, Task.reject(new Error('oops')));
+            }
+
+            function combine() {
+                return Task.chain(failLater, Task.of(1));
+            }
+
+            Task.fork(function(err){
+                assert.equal(err.message, 'oops');
+                assert(/failLater/.test(err.asyncStack));
+                assert(/combine/.test(err.asyncStack));
+                assert(/From the tasks constructed at/.test(err.stack));
+                assert(!/src[\\\/]Task\.js/.test(err.asyncStack));
+                done();
+            }, tf, combine());
+        });
+
+        it('should leave rejections which are not errors alone', function(done){
+            Task.enableLongStackTraces();
+
+            Task.fork(_.compose(done, equal('oops')), tf, Task.chain(_.always(Task.reject('oops')), Task.of(1)));
+        });
+
+        it('should not change errors once disabled', function(done){
+            Task.enableLongStackTraces();
+            Task.disableLongStackTraces();
+
+            Task.fork(function(err){
+                assert.equal(err.asyncStack, undefined);
+                done();
+            }, tf, Task.chain(_.always(Task.reject(new Error('oops'))), Task.of(1)));
+        });
+    });
+
+    describe('#bimap', function() {
+        it('should create a new task which maps the right and the left of an existing task', function(done){
+            var t1 = Task.of(1);
+            var t2 = Task.reject(4);
+
+            var fn1 = _.add(1);
+            var fn2 = _.sub(1);
+
+            Task.bimap(fn1, fn2, t1).exec(tf, function(v){
+                assert.equal(v, 0);
+                Task.bimap(fn1, fn2, t2).exec(_.compose(done, equal(5)), tf);
+            });
+        });
+    });
+
+    describe('#fromAsync', function(){
+        it('should create a task from an async function', function(done){
+            var fn = function(cb) {
+                process.nextTick(function(){
+                    cb(null, "ok");
+                });
+            };
+
+            var task = Task.fromAsync(fn);
+
+            task.exec(tf, _.compose(done, equal('ok')));
+        });
+
+        it('should reject if the function calls back with an error', function(done){
+            var fn = function(cb) {
+                cb("oh no", "ok");
+            };
+
+            var task = Task.fromAsync(fn);
 
             task.exec(_.compose(done, equal('oh no')), tf);
         });
+
+        it('should return the function returned by the async function as the canceller', function(done){
+            var cancelled = false;
+            var fn = function(cb) {
+                var timer = setTimeout(cb, 10, null, "ok");
+                return function(){
+                    cancelled = true;
+                    clearTimeout(timer);
+                };
+            };
+
+            var cancel = Task.fork(tf, tf, Task.fromAsync(fn));
+            cancel();
+            assert(cancelled);
+            setTimeout(done, 20);
+        });
+    });
+
+    describe('#immediate', function(){
+        it('should not affect the outcome of a task', function(done){
+            var task = Task.immediate(Task.of(1));
+            task.exec(tf, _.compose(done, equal(1)));
+        });
+
+        it('should not run the task if cancelled', function(done){
+            var cancel = Task.fork(tf, tf, Task.immediate(Task(tf)));
+            cancel();
+            setTimeout(done, 10);
+        });
+    });
+
+    describe('#delay', function(){
+        it('should not affect the outcome of a task', function(done){
+            var start = Date.now();
+            var task = Task.delay(40, Task.of(1));
+            task.exec(tf, _.compose(done, function(){
+                assert(Date.now() - start > 40);
+                assert(Date.now() - start < 50);
+            }, equal(1)));
+        });
+
+        it('should clear the timer if cancelled', function(done){
+            var cancel = Task.fork(tf, tf, Task.delay(10, Task(tf)));
+            cancel();
+            setTimeout(done, 20);
+        });
+
+        it('should cancel the delayed task if cancelled after it has started', function(done){
+            var cancel = Task.fork(tf, tf, Task.delay(5, Task.delay(10, Task.of(1))));
+            setTimeout(cancel, 10);
+            setTimeout(done, 25);
+        });
+    });
+
+    describe('#timeoutWith', function(){
+        it('should resolve if the timeout is greater than the time the task takes', function(done){
+            var task = Task.delay(20, Task.of(1));
+            var totask = Task.timeoutWith(_.alwaysThrow(Error, "timeout"), 40)(task);
+
+
+            totask.exec(tf, function(value){
+                // make sure it doesn't reject later from the timeout
+                assert.equal(value, 1);
+                setTimeout(done, 30);
+            });
+        });
+
+        it('should reject if the timeout is greater than the time the task takes', function(done){
+            var task = Task.delay(20, Task.reject(1));
+            var totask = Task.timeoutWith(_.alwaysThrow(Error, "timeout"), 40)(task);
+
+
+            totask.exec(function(value){
+                // make sure it doesn't reject later from the timeout
+                assert.equal(value, 1)
+                setTimeout(done, 30);
+            }, tf);
+        });
+
+        it('should reject with the timeout if it takes too long even though it would resolve', function(done){
+            var task = Task.delay(40, Task.of(1));
+            var totask = Task.timeoutWith(_.always(2), 20)(task);
+
+
+            totask.exec(function(value){
+                // make sure it doesn't resolve later
+                assert.equal(value, 2)
+                setTimeout(done, 30);
+            }, tf);
+        });
+
+        it('should reject with the timeout if it takes too long even though it would reject', function(done){
+            var task = Task.delay(40, Task.reject(1));
+            var totask = Task.timeoutWith(_.always(2), 20)(task);
+
+
+            totask.exec(function(value){
+                // make sure it doesn't resolve later
+                assert.equal(value, 2)
+                setTimeout(done, 30);
+            }, tf);
+        });
+
+        it('should cancel the task when the timeout occurs', function(done){
+            var cancelled = false;
+            var task = Task(function(reject, resolve){
+                var timer = setTimeout(_.thunk(resolve, 1), 40);
+                return function(){
+                    cancelled = true;
+                    clearTimeout(timer);
+                };
+            });
+
+            Task.timeoutWith(_.always(2), 20, task).exec(function(value){
+                assert.equal(value, 2);
+                assert(cancelled);
+                done();
+            }, tf);
+        });
+
+        it('should clear the timeout and cancel the task when cancelled', function(done){
+            var task = Task.delay(20, Task.of(1));
+            var cancel = Task.fork(tf, tf, Task.timeoutWith(_.always(2), 10, task));
+            cancel();
+            setTimeout(done, 30);
+        });
+    });
+
+    describe('#timeout', function(){
+        it('should resolve if the timeout is greater than the time the task takes', function(done){
+            var task = Task.delay(20, Task.of(1));
+            var totask = Task.timeout(40)(task);
+
+
+            totask.exec(tf, function(value){
+                // make sure it doesn't reject later from the timeout
+                assert.equal(value, 1);
+                setTimeout(done, 30);
+            });
+        });
+
+        it('should reject if the timeout is greater than the time the task takes', function(done){
+            var task = Task.delay(20, Task.reject(1));
+            var totask = Task.timeout(40)(task);
+
+
+            totask.exec(function(value){
+                // make sure it doesn't reject later from the timeout
+                assert.equal(value, 1)
+                setTimeout(done, 30);
+            }, tf);
+        });
+
+        it('should reject with the timeout if it takes too long even though it would resolve', function(done){
+            var task = Task.delay(40, Task.of(1));
+            var totask = Task.timeout(20)(task);
+
+
+            totask.exec(function(value){
+                // make sure it doesn't resolve later
+                assert(value instanceof Error);
+                assert(value instanceof Task.TimeoutError);
+                assert(value.stack);
+                assert.equal(value.message, "Task timed out after 20ms");
+                setTimeout(done, 30);
+            }, tf);
+        });
+
+        it('should reject with the timeout if it takes too long even though it would reject', function(done){
+            var task = Task.delay(40, Task.reject(1));
+            var totask = Task.timeout(20)(task);
+
+            totask.exec(function(value){
+                // make sure it doesn't resolve later
+                assert(value instanceof Error);
+                assert(value instanceof Task.TimeoutError);
+                assert(value.stack);
+                assert.equal(value.message, "Task timed out after 20ms");
+                setTimeout(done, 30);
+            }, tf);
+        });
+    });
+
+    describe('#timeoutTo', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        it('should settle with the task if it is quick enough', function(){
+            var result = null;
+            Task.fork(tf, function(v){ result = v; }, Task.timeoutTo(20, Task.of('fallback'), Task.delay(10, Task.of('task'))));
+            scheduler.advance(10);
+            assert.equal(result, 'task');
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should cancel the task and switch to the fallback on timeout', function(){
+            var result = null;
+            var cancelled = false;
+            var task = Task(function(){
+                return function(){
+                    cancelled = true;
+                };
+            });
+
+            Task.fork(tf, function(v){ result = v; }, Task.timeoutTo(20, Task.delay(5, Task.of('fallback')), task));
+            scheduler.advance(20);
+            assert(cancelled);
+            assert.equal(result, null);
+            scheduler.advance(5);
+            assert.equal(result, 'fallback');
+        });
+
+        it('should cancel the fallback when cancelled', function(){
+            var result = null;
+            var cancel = Task.fork(tf, function(v){ result = v; }, Task.timeoutTo(20, Task.delay(5, Task.of('fallback')), Task(_.noop)));
+
+            scheduler.advance(22);
+            cancel();
+            scheduler.advance(10);
+            assert.equal(result, null);
+            assert.equal(scheduler.pending(), 0);
+        });
+    });
+
+    describe('#withDeadline', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        it('should reject with a TimeoutError once the deadline passes', function(){
+            var reason = null;
+            Task.fork(function(r){ reason = r; }, tf, Task.withDeadline(50, Task.delay(100, Task.of(1))));
+            scheduler.advance(50);
+            assert(reason instanceof Task.TimeoutError);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should cut nested timeouts down to the time left', function(){
+            var reason = null;
+            var at = null;
+            var task = Task.withDeadline(150, Task.chain(function(){
+                return Task.timeoutWith(function(allowed){
+                    at = scheduler.now();
+                    return allowed;
+                }, 100, Task.delay(200, Task.of(2)));
+            }, Task.timeout(100, Task.delay(80, Task.of(1)))));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            scheduler.advance(150);
+            assert.equal(reason, 70);
+            assert.equal(at, 150);
+        });
+
+        it('should not be extended by a deadline inside it', function(){
+            var reason = null;
+            var task = Task.withDeadline(50, Task.withDeadline(100, Task.timeoutWith(_.identity, 100, Task(_.noop))));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            scheduler.advance(50);
+            assert.equal(reason, 50);
+        });
+
+        it('should not affect timeouts outside it', function(){
+            var reason = null;
+            var task = Task.chain(function(){
+                return Task.timeoutWith(_.identity, 100, Task(_.noop));
+            }, Task.withDeadline(10, Task.of(1)));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            scheduler.advance(100);
+            assert.equal(reason, 100);
+        });
+
+        it('should cut down timeouts to the time left for timeoutTo', function(){
+            var result = null;
+            var task = Task.withDeadline(30, Task.timeoutTo(100, Task.of('fallback'), Task(_.noop)));
+
+            Task.fork(tf, function(v){ result = v; }, task);
+            scheduler.advance(30);
+            assert.equal(result, 'fallback');
+        });
+    });
+
+    describe('#rateLimiter', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        it('should throw a TypeError if the rate is missing or not positive', function(){
+            [{}, {rate: 0}, {rate: -1}, {rate: NaN}, {rate: Infinity}].forEach(function(options){
+                assert.throws(function(){
+                    Task.rateLimiter(options);
+                }, TypeError);
+            });
+        });
+
+        it('should throw a TypeError if the burst is less than 1', function(){
+            [{rate: 1, burst: 0}, {rate: 1, burst: 0.5}, {rate: 1, burst: NaN}].forEach(function(options){
+                assert.throws(function(){
+                    Task.rateLimiter(options);
+                }, TypeError);
+            });
+        });
+
+        var forkAll = function(limit, n, results) {
+            for (var i = 0; i < n; i++) {
+                Task.fork(function(r){ results.push(r); }, function(v){ results.push(v); }, limit(Task.of(i)));
+            }
+        };
+
+        it('should fork a burst of tasks at once and then the rest at the rate', function(){
+            var results = [];
+            var limit = Task.rateLimiter({rate: 10, burst: 3});
+
+            forkAll(limit, 6, results);
+            assert.deepEqual(results, [0,1,2]);
+
+            scheduler.advance(99);
+            assert.deepEqual(results, [0,1,2]);
+            scheduler.advance(1);
+            assert.deepEqual(results, [0,1,2,3]);
+            scheduler.advance(200);
+            assert.deepEqual(results, [0,1,2,3,4,5]);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should refill the bucket over time up to the burst', function(){
+            var results = [];
+            var limit = Task.rateLimiter({rate: 10, burst: 2});
+
+            forkAll(limit, 2, results);
+            scheduler.advance(1000);
+            forkAll(limit, 3, results);
+
+            assert.deepEqual(results, [0,1,0,1]);
+            scheduler.advance(100);
+            assert.deepEqual(results, [0,1,0,1,2]);
+        });
+
+        it('should reject with a RateLimitError when the queue is full', function(){
+            var results = [];
+            var limit = Task.rateLimiter({rate: 1, burst: 1, maxQueue: 1});
+
+            forkAll(limit, 3, results);
+
+            assert.equal(results.length, 2);
+            assert.equal(results[0], 0);
+            assert(results[1] instanceof Task.RateLimitError);
+            assert.equal(results[1].maxQueue, 1);
+
+            scheduler.advance(1000);
+            assert.equal(results[2], 1);
+        });
+
+        it('should be shared by every task it wraps', function(){
+            var results = [];
+            var limit = Task.rateLimiter({rate: 10});
+
+            Task.fork(tf, function(v){ results.push(v); }, limit(Task.of('a')));
+            Task.fork(tf, function(v){ results.push(v); }, limit(Task.map(_.always('b'), Task.of(1))));
+
+            assert.deepEqual(results, ['a']);
+            scheduler.advance(100);
+            assert.deepEqual(results, ['a', 'b']);
+        });
+
+        it('should remove a cancelled task from the queue', function(){
+            var results = [];
+            var limit = Task.rateLimiter({rate: 10});
+
+            Task.fork(tf, function(v){ results.push(v); }, limit(Task.of(1)));
+            var cancel = Task.fork(tf, tf, limit(Task.of(2)));
+            Task.fork(tf, function(v){ results.push(v); }, limit(Task.of(3)));
+
+            cancel();
+            scheduler.advance(100);
+            assert.deepEqual(results, [1, 3]);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should cancel a task which has started', function(){
+            var cancelled = false;
+            var limit = Task.rateLimiter({rate: 10});
+
+            var cancel = Task.fork(tf, tf, limit(Task(function(){
+                return function(){
+                    cancelled = true;
+                };
+            })));
+
+            cancel();
+            assert(cancelled);
+        });
+    });
+
+    describe('#circuitBreaker', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        var outcome = function(task) {
+            var result = null;
+            Task.fork(function(r){ result = {rejected: r}; }, function(v){ result = {resolved: v}; }, task);
+            return result;
+        };
+
+        it('should open after threshold failures and then fail fast', function(){
+            var forked = 0;
+            var failing = Task(function(reject){
+                forked += 1;
+                reject('down');
+            });
+            var breaker = Task.circuitBreaker({threshold: 2, window: 1000, resetTimeout: 500});
+
+            assert.equal(breaker.state(), 'closed');
+            assert.deepEqual(outcome(breaker(failing)), {rejected: 'down'});
+            assert.deepEqual(outcome(breaker(failing)), {rejected: 'down'});
+            assert.equal(breaker.state(), 'open');
+
+            var result = outcome(breaker(failing));
+            assert(result.rejected instanceof Task.CircuitOpenError);
+            assert.equal(result.rejected.state, 'open');
+            assert.equal(forked, 2);
+        });
+
+        it('should only count failures within the window', function(){
+            var breaker = Task.circuitBreaker({threshold: 2, window: 1000});
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(1000);
+            outcome(breaker(Task.reject('down')));
+            assert.equal(breaker.state(), 'closed');
+
+            outcome(breaker(Task.reject('down')));
+            assert.equal(breaker.state(), 'open');
+        });
+
+        it('should only count failures that pass isFailure', function(){
+            var breaker = Task.circuitBreaker({threshold: 1, isFailure: _.eq('down')});
+
+            outcome(breaker(Task.reject('not found')));
+            assert.equal(breaker.state(), 'closed');
+            outcome(breaker(Task.reject('down')));
+            assert.equal(breaker.state(), 'open');
+        });
+
+        it('should close again if the trial task resolves once half-open', function(){
+            var breaker = Task.circuitBreaker({threshold: 1, resetTimeout: 500});
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(499);
+            assert.equal(breaker.state(), 'open');
+            scheduler.advance(1);
+            assert.equal(breaker.state(), 'half-open');
+
+            assert.deepEqual(outcome(breaker(Task.of(1))), {resolved: 1});
+            assert.equal(breaker.state(), 'closed');
+        });
+
+        it('should open again if the trial task rejects', function(){
+            var breaker = Task.circuitBreaker({threshold: 1, resetTimeout: 500});
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(500);
+            assert.deepEqual(outcome(breaker(Task.reject('still down'))), {rejected: 'still down'});
+            assert.equal(breaker.state(), 'open');
+        });
+
+        it('should fork only one trial task at a time when half-open', function(){
+            var breaker = Task.circuitBreaker({threshold: 1, resetTimeout: 500});
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(500);
+
+            assert.equal(outcome(breaker(Task.delay(10, Task.of(1)))), null);
+            var result = outcome(breaker(Task.of(2)));
+            assert(result.rejected instanceof Task.CircuitOpenError);
+            assert.equal(result.rejected.state, 'half-open');
+
+            scheduler.advance(10);
+            assert.equal(breaker.state(), 'closed');
+        });
+
+        it('should count timeouts as failures', function(){
+            var breaker = Task.circuitBreaker({threshold: 1});
+
+            outcome(breaker(Task.timeout(10, Task.delay(20, Task.of(1)))));
+            scheduler.advance(10);
+            assert.equal(breaker.state(), 'open');
+        });
+
+        it('should tell listeners when the state changes', function(){
+            var changes = [];
+            var breaker = Task.circuitBreaker({
+                threshold: 1,
+                resetTimeout: 500,
+                onStateChange: function(to, from){
+                    changes.push(from + '->' + to);
+                }
+            });
+            var more = [];
+            var stop = breaker.onStateChange(function(to){
+                more.push(to);
+            });
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(500);
+            assert.equal(breaker.state(), 'half-open');
+            stop();
+            outcome(breaker(Task.of(1)));
+
+            assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+            assert.deepEqual(more, ['open', 'half-open']);
+        });
+
+        it('should tell listeners it is half-open once the reset timeout has passed without being used', function(){
+            var changes = [];
+            var breaker = Task.circuitBreaker({
+                threshold: 1,
+                resetTimeout: 500,
+                onStateChange: function(to, from){
+                    changes.push(from + '->' + to);
+                }
+            });
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(499);
+            assert.deepEqual(changes, ['closed->open']);
+
+            scheduler.advance(1);
+            assert.deepEqual(changes, ['closed->open', 'open->half-open']);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should not become half-open on the timer of an earlier opening', function(){
+            var breaker = Task.circuitBreaker({threshold: 1, resetTimeout: 500});
+
+            outcome(breaker(Task.reject('down')));
+            scheduler.advance(500);
+            outcome(breaker(Task.reject('still down')));
+            assert.equal(breaker.state(), 'open');
+            assert.equal(scheduler.pending(), 1);
+
+            scheduler.advance(499);
+            assert.equal(breaker.state(), 'open');
+            scheduler.advance(1);
+            assert.equal(breaker.state(), 'half-open');
+        });
+    });
+
+    describe('#Queue', function(){
+        var job = function(log, name, delay) {
+            return Task(function(reject, resolve){
+                log.push('start ' + name);
+                var timer = setTimeout(function(){
+                    log.push('end ' + name);
+                    name === 'bad' ? reject(name) : resolve(name);
+                }, delay);
+                return function(){
+                    log.push('cancel ' + name);
+                    clearTimeout(timer);
+                };
+            });
+        };
+
+        it('should settle each pushed task with the outcome of its job', function(done){
+            var queue = Task.Queue({concurrency: 2});
+            var log = [];
+
+            Task.settle([
+                queue.push(job(log, 'a', 5)),
+                queue.push(job(log, 'bad', 1))
+            ]).exec(tf, function(outcomes){
+                assert.equal(outcomes[0].value, 'a');
+                assert(Either.isLeft(outcomes[1]));
+                assert.equal(outcomes[1].value, 'bad');
+                done();
+            });
+        });
+
+        it('should run at most concurrency jobs at once', function(done){
+            var queue = Task.Queue({concurrency: 2});
+            var log = [];
+
+            Task.parallel([
+                queue.push(job(log, 'a', 10)),
+                queue.push(job(log, 'b', 5)),
+                queue.push(job(log, 'c', 1))
+            ]).exec(tf, function(){
+                assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c', 'end c', 'end a']);
+                done();
+            });
+
+            assert.equal(queue.running(), 2);
+            assert.equal(queue.size(), 1);
+        });
+
+        it('should run jobs with a higher priority first and the rest in order', function(done){
+            var queue = Task.Queue();
+            var log = [];
+
+            Task.parallel([
+                queue.push(job(log, 'first', 1)),
+                queue.push(job(log, 'low', 1)),
+                queue.push(job(log, 'high', 1), {priority: 2}),
+                queue.push(job(log, 'low2', 1)),
+                queue.push(job(log, 'mid', 1), {priority: 1})
+            ]).exec(tf, function(){
+                assert.deepEqual(log.filter(function(l){ return l.indexOf('start') === 0; }),
+                    ['start first', 'start high', 'start mid', 'start low', 'start low2']);
+                done();
+            });
+        });
+
+        it('should not start jobs while paused', function(done){
+            var queue = Task.Queue();
+            var log = [];
+
+            queue.pause();
+            assert(queue.isPaused());
+            queue.push(job(log, 'a', 1)).exec(tf, function(){
+                assert.deepEqual(log, ['start a', 'end a']);
+                done();
+            });
+
+            setTimeout(function(){
+                assert.deepEqual(log, []);
+                queue.resume();
+            }, 5);
+        });
+
+        it('should reject with a QueueFullError when too many jobs are waiting', function(done){
+            var queue = Task.Queue({maxSize: 1});
+            var log = [];
+
+            Task.fork(tf, _.noop, queue.push(job(log, 'a', 5)));
+            Task.fork(tf, _.noop, queue.push(job(log, 'b', 5)));
+            queue.push(job(log, 'c', 5)).exec(function(reason){
+                assert(reason instanceof Task.QueueFullError);
+                assert.equal(reason.maxSize, 1);
+                assert.deepEqual(log, ['start a']);
+                done();
+            }, tf);
+        });
+
+        it('should resolve ready once there is room for another job', function(done){
+            var queue = Task.Queue({maxSize: 1});
+            var log = [];
+
+            Task.fork(tf, _.noop, queue.push(job(log, 'a', 5)));
+            Task.fork(tf, _.noop, queue.push(job(log, 'b', 5)));
+
+            queue.ready().exec(tf, function(){
+                assert.deepEqual(log, ['start a', 'end a', 'start b']);
+                assert.equal(queue.size(), 0);
+                done();
+            });
+        });
+
+        it('should reject a job that runs for longer than its timeout', function(done){
+            var queue = Task.Queue({timeout: 100});
+            var log = [];
+
+            queue.push(job(log, 'slow', 50), {timeout: 5}).exec(function(reason){
+                assert(reason instanceof Task.TimeoutError);
+                assert.deepEqual(log, ['start slow', 'cancel slow']);
+                done();
+            }, tf);
+        });
+
+        it('should tell listeners when the queue drains and when it is idle', function(done){
+            var queue = Task.Queue();
+            var log = [];
+
+            queue.onDrain(function(){
+                log.push('drain');
+            });
+            queue.onIdle(function(){
+                log.push('idle');
+                assert.deepEqual(log, ['start a', 'drain', 'end a', 'start b', 'drain', 'end b', 'idle']);
+                done();
+            });
+
+            Task.fork(tf, _.noop, queue.push(job(log, 'a', 1)));
+            Task.fork(tf, _.noop, queue.push(job(log, 'b', 1)));
+        });
+
+        it('should remove a cancelled job that is waiting and cancel one that is running', function(done){
+            var queue = Task.Queue();
+            var log = [];
+
+            var cancelA = Task.fork(tf, tf, queue.push(job(log, 'a', 5)));
+            var cancelB = Task.fork(tf, tf, queue.push(job(log, 'b', 5)));
+            queue.push(job(log, 'c', 1)).exec(tf, function(){
+                assert.deepEqual(log, ['start a', 'cancel a', 'start c', 'end c']);
+                done();
+            });
+
+            cancelB();
+            cancelA();
+        });
+
+        it('should reject waiting jobs with a CancellationError when cleared and leave running jobs alone', function(done){
+            var queue = Task.Queue({concurrency: 1});
+            var log = [];
+            var cleared = [];
+
+            Task.fork(tf, function(value){
+                assert.equal(value, 'a');
+                assert.deepEqual(log, ['start a', 'end a']);
+                assert.equal(cleared.length, 2);
+                cleared.forEach(function(reason){
+                    assert(reason instanceof Task.CancellationError);
+                });
+                done();
+            }, queue.push(job(log, 'a', 5)));
+            Task.fork(function(r){ cleared.push(r); }, tf, queue.push(job(log, 'b', 1)));
+            Task.fork(function(r){ cleared.push(r); }, tf, queue.push(job(log, 'c', 1)));
+
+            queue.clear();
+            assert.equal(queue.size(), 0);
+            assert.equal(queue.running(), 1);
+            assert.equal(cleared.length, 2);
+        });
+
+        it('should only apply maxSize to jobs which cannot start straight away', function(done){
+            var queue = Task.Queue({concurrency: 1, maxSize: 0});
+            var log = [];
+            var full = null;
+
+            Task.fork(tf, function(value){
+                assert.equal(value, 'a');
+                assert(full instanceof Task.QueueFullError);
+
+                queue.pause();
+                queue.push(job(log, 'c', 1)).exec(function(reason){
+                    assert(reason instanceof Task.QueueFullError);
+                    assert.deepEqual(log, ['start a', 'end a']);
+                    done();
+                }, tf);
+            }, queue.push(job(log, 'a', 5)));
+            queue.push(job(log, 'b', 1)).exec(function(reason){ full = reason; }, tf);
+        });
+
+        it('should resolve ready once a job could start if maxSize is 0', function(done){
+            var queue = Task.Queue({concurrency: 1, maxSize: 0});
+            var log = [];
+
+            Task.fork(tf, _.noop, queue.push(job(log, 'a', 5)));
+
+            queue.ready().exec(tf, function(){
+                assert.deepEqual(log, ['start a', 'end a']);
+                assert.equal(queue.running(), 0);
+                done();
+            });
+        });
+    });
+
+    describe('#retry', function(){
+        var failTimes = function(times, value) {
+            var attempts = 0;
+            return Task(function(reject, resolve){
+                attempts += 1;
+                attempts > times ? resolve(value) : reject(attempts);
+            });
+        };
+
+        it('should run the task again until it resolves', function(done){
+            var task = Task.retry(Task.RetryPolicy.fixed(1), failTimes(3, 'ok'));
+
+            task.exec(tf, _.compose(done, equal('ok')));
+        });
+
+        it('should reject with every rejected value once the policy gives up', function(done){
+            var policy = Task.RetryPolicy.maxAttempts(3, Task.RetryPolicy.fixed(1));
+            var task = Task.retry(policy, failTimes(5, 'ok'));
+
+            task.exec(function(err){
+                assert(err instanceof Task.RetryExhaustedError);
+                assert(err instanceof Error);
+                assert.deepEqual(err.reasons, [1,2,3]);
+                assert.equal(err.message, 'Task failed after 3 attempts');
+                done();
+            }, tf);
+        });
+
+        it('should give up when the rejected value does not pass the predicate', function(done){
+            var policy = Task.RetryPolicy.when(_.gt(2), Task.RetryPolicy.fixed(1));
+            var task = Task.retry(policy, failTimes(5, 'ok'));
+
+            task.exec(function(err){
+                assert.deepEqual(err.reasons, [1,2]);
+                done();
+            }, tf);
+        });
+
+        it('should wait between attempts', function(done){
+            var start = Date.now();
+            var task = Task.retry(Task.RetryPolicy.fixed(10), failTimes(2, 'ok'));
+
+            task.exec(tf, function(value){
+                assert.equal(value, 'ok');
+                assert(Date.now() - start >= 18);
+                done();
+            });
+        });
+
+        it('should stop retrying when cancelled', function(done){
+            var attempts = 0;
+            var task = Task.retry(Task.RetryPolicy.fixed(5), Task(function(reject){
+                attempts += 1;
+                reject(attempts);
+            }));
+
+            var cancel = Task.fork(tf, tf, task);
+            setTimeout(cancel, 12);
+            setTimeout(function(){
+                assert(attempts <= 3);
+                done();
+            }, 30);
+        });
+    });
+
+    describe('#RetryPolicy', function(){
+        var P = Task.RetryPolicy;
+
+        it('should always wait the same time with a fixed policy', function(){
+            assert.equal(P.fixed(5)(1, null, 0), 5);
+            assert.equal(P.fixed(5)(10, null, 100), 5);
+        });
+
+        it('should grow the wait with an exponential policy', function(){
+            var policy = P.exponential(10, 2);
+            assert.equal(policy(1, null, 0), 10);
+            assert.equal(policy(2, null, 0), 20);
+            assert.equal(policy(4, null, 0), 80);
+        });
+
+        it('should randomize the wait between zero and the original wait with jitter', function(){
+            var policy = P.jitter(P.fixed(10));
+            for (var i = 0; i < 20; i++) {
+                var delay = policy(1, null, 0);
+                assert(delay >= 0 && delay < 10);
+            }
+            assert.equal(P.jitter(_.always(null))(1, null, 0), null);
+        });
+
+        it('should give up after the maximum number of attempts', function(){
+            var policy = P.maxAttempts(3, P.fixed(5));
+            assert.equal(policy(2, null, 0), 5);
+            assert.equal(policy(3, null, 0), null);
+        });
+
+        it('should give up if the next attempt would start after the maximum time', function(){
+            var policy = P.maxTime(100, P.fixed(20));
+            assert.equal(policy(1, null, 80), 20);
+            assert.equal(policy(1, null, 81), null);
+        });
+    });
+
+    describe('#poll', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        var counter = function(state) {
+            return Task(function(reject, resolve){
+                state.forks += 1;
+                resolve(state.forks);
+            });
+        };
+
+        it('should fork the task until the predicate passes', function(){
+            var state = {forks: 0};
+            var result = null;
+            var task = Task.poll({interval: 100, until: _.gte(_, 3)}, counter(state));
+
+            Task.fork(tf, function(v){ result = v; }, task);
+            assert.equal(state.forks, 1);
+            scheduler.advance(100);
+            assert.equal(state.forks, 2);
+            scheduler.advance(100);
+            assert.equal(result, 3);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should reject with a TimeoutError once the deadline passes', function(){
+            var state = {forks: 0};
+            var reason = null;
+            var task = Task.poll({interval: 100, timeout: 250, until: _.F}, counter(state));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            scheduler.advance(250);
+            assert(reason instanceof Task.TimeoutError);
+            assert.equal(state.forks, 3);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should wait as long as an interval function says', function(){
+            var state = {forks: 0};
+            var waits = [];
+            var task = Task.poll({
+                interval: function(attempt, value, elapsed){
+                    waits.push([attempt, value, elapsed]);
+                    return Task.RetryPolicy.exponential(100, 2)(attempt, value, elapsed);
+                },
+                until: _.gte(_, 4)
+            }, counter(state));
+
+            Task.fork(tf, _.noop, task);
+            scheduler.advance(700);
+            assert.deepEqual(waits, [[1, 1, 0], [2, 2, 100], [3, 3, 300]]);
+            assert.equal(state.forks, 4);
+        });
+
+        it('should reject with a TimeoutError when the interval function gives up', function(){
+            var reason = null;
+            var task = Task.poll({
+                interval: Task.RetryPolicy.maxAttempts(2, Task.RetryPolicy.fixed(10)),
+                until: _.F
+            }, Task.of(1));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            scheduler.advance(10);
+            assert(reason instanceof Task.TimeoutError);
+        });
+
+        it('should reject if the task rejects', function(){
+            var reason = null;
+            Task.fork(function(r){ reason = r; }, tf, Task.poll({until: _.T}, Task.reject('oops')));
+            assert.equal(reason, 'oops');
+        });
+
+        it('should stop polling when cancelled', function(){
+            var state = {forks: 0};
+            var cancel = Task.fork(tf, tf, Task.poll({interval: 100, until: _.F}, counter(state)));
+
+            cancel();
+            scheduler.advance(1000);
+            assert.equal(state.forks, 1);
+            assert.equal(scheduler.pending(), 0);
+        });
+    });
+
+    describe('#repeat', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        var counter = function(state) {
+            return Task(function(reject, resolve){
+                state.forks += 1;
+                state.at.push(scheduler.now());
+                state.forks === state.failAt ? reject('failed') : resolve(state.forks);
+            });
+        };
+
+        it('should run the task again as the schedule says and collect the results', function(){
+            var state = {forks: 0, at: []};
+            var result = null;
+            var schedule = Task.Schedule.intersection(Task.Schedule.spaced(100), Task.Schedule.times(3));
+
+            Task.fork(tf, function(v){ result = v; }, Task.repeat(schedule, counter(state)));
+            scheduler.runAll();
+
+            assert.deepEqual(result, [1, 2, 3]);
+            assert.deepEqual(state.at, [0, 100, 200]);
+        });
+
+        it('should reject if a run rejects', function(){
+            var state = {forks: 0, at: [], failAt: 2};
+            var reason = null;
+
+            Task.fork(function(r){ reason = r; }, tf, Task.repeat(Task.Schedule.spaced(10), counter(state)));
+            scheduler.runAll();
+
+            assert.equal(reason, 'failed');
+            assert.equal(state.forks, 2);
+        });
+
+        it('should stop repeating when cancelled', function(){
+            var state = {forks: 0, at: []};
+            var cancel = Task.fork(tf, tf, Task.repeat(Task.Schedule.spaced(10), counter(state)));
+
+            scheduler.advance(15);
+            cancel();
+            scheduler.advance(100);
+            assert.equal(state.forks, 2);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should collect the results in the monoid given to repeatInto', function(){
+            var result = null;
+            var task = Task.repeatInto(_.Str, Task.Schedule.times(3), Task.of('ab'));
+
+            Task.fork(tf, function(v){ result = v; }, task);
+            scheduler.runAll();
+
+            assert.strictEqual(result, 'ababab');
+        });
+    });
+
+    describe('#Schedule', function(){
+        it('should wait the same time between every run when spaced', function(){
+            var schedule = Task.Schedule.spaced(50);
+            assert.equal(schedule(1, null, 0, 0), 50);
+            assert.equal(schedule(10, null, 500, 500), 50);
+        });
+
+        it('should multiply the wait when exponential', function(){
+            var schedule = Task.Schedule.exponential(10, 3);
+            assert.equal(schedule(1, null, 0, 0), 10);
+            assert.equal(schedule(3, null, 0, 0), 90);
+        });
+
+        it('should stop after a number of runs', function(){
+            var schedule = Task.Schedule.times(2);
+            assert.equal(schedule(1, null, 0, 0), 0);
+            assert.equal(schedule(2, null, 0, 0), null);
+        });
+
+        it('should stop once a time has passed', function(){
+            var schedule = Task.Schedule.untilTime(new Date(1000));
+            assert.equal(schedule(1, null, 0, 999), 0);
+            assert.equal(schedule(1, null, 0, 1000), null);
+        });
+
+        it('should repeat while either schedule does, with the shorter wait, for a union', function(){
+            var schedule = Task.Schedule.union(Task.Schedule.spaced(10), Task.Schedule.times(2));
+            assert.equal(schedule(1, null, 0, 0), 0);
+            assert.equal(schedule(2, null, 0, 0), 10);
+            assert.equal(Task.Schedule.union(Task.Schedule.times(1), Task.Schedule.times(1))(1, null, 0, 0), null);
+        });
+
+        it('should repeat while both schedules do, with the longer wait, for an intersection', function(){
+            var schedule = Task.Schedule.intersection(Task.Schedule.spaced(10), Task.Schedule.times(2));
+            assert.equal(schedule(1, null, 0, 0), 10);
+            assert.equal(schedule(2, null, 0, 0), null);
+        });
+    });
+
+    describe('#every', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
+        });
+
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
+
+        it('should run the task every interval until stopped', function(){
+            var at = [];
+            var result = null;
+            var handle = Task.every(100, Task(function(reject, resolve){
+                at.push(scheduler.now());
+                resolve(at.length);
+            }));
+
+            Task.fork(tf, function(v){ result = v; }, handle.task);
+            scheduler.advance(250);
+            assert.deepEqual(at, [0, 100, 200]);
+            assert.equal(result, null);
+
+            handle.stop();
+            assert.deepEqual(result, [1, 2, 3]);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should keep to the interval when runs take time', function(){
+            var at = [];
+            var handle = Task.every(100, Task.delay(30, Task(function(reject, resolve){
+                at.push(scheduler.now());
+                resolve(1);
+            })));
+
+            Task.fork(tf, _.noop, handle.task);
+            scheduler.advance(250);
+            assert.deepEqual(at, [30, 130, 230]);
+            handle.stop();
+        });
+
+        it('should resolve once the run in progress resolves when stopped', function(){
+            var result = null;
+            var handle = Task.every(100, Task.delay(30, Task.of('ran')));
+
+            Task.fork(tf, function(v){ result = v; }, handle.task);
+            scheduler.advance(110);
+            handle.stop();
+            assert.equal(result, null);
+            scheduler.advance(20);
+            assert.deepEqual(result, ['ran', 'ran']);
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should resolve with nothing when forked after being stopped', function(){
+            var handle = Task.every(100, Task.of(1));
+            handle.stop();
+
+            var result = null;
+            Task.fork(tf, function(v){ result = v; }, handle.task);
+            assert.deepEqual(result, []);
+        });
+
+        it('should collect the results in the monoid given to everyInto', function(){
+            var result = null;
+            var handle = Task.everyInto(_.Str, 100, Task.of('ab'));
+
+            Task.fork(tf, function(v){ result = v; }, handle.task);
+            scheduler.advance(150);
+            handle.stop();
+
+            assert.strictEqual(result, 'abab');
+        });
+
+        it('should resolve with the empty value of the monoid if stopped before it is forked', function(){
+            var result = null;
+            var handle = Task.everyInto(_.Str, 100, Task.of('ab'));
+
+            handle.stop();
+            Task.fork(tf, function(v){ result = v; }, handle.task);
+
+            assert.strictEqual(result, '');
+        });
+    });
+
+    describe('#bracket', function(){
+        var resource = function(log) {
+            return {
+                acquire: Task(function(reject, resolve){
+                    log.push('acquire');
+                    resolve('resource');
+                }),
+                release: function(r){
+                    return Task(function(reject, resolve){
+                        log.push('release ' + r);
+                        resolve();
+                    });
+                }
+            };
+        };
+
+        it('should release the resource after using it and resolve with the result of use', function(done){
+            var log = [];
+            var r = resource(log);
+            var task = Task.bracket(r.acquire, r.release, function(value){
+                log.push('use ' + value);
+                return Task.delay(5, Task.of('result'));
+            });
+
+            task.exec(tf, function(result){
+                assert.equal(result, 'result');
+                assert.deepEqual(log, ['acquire', 'use resource', 'release resource']);
+                done();
+            });
+        });
+
+        it('should release the resource if use rejects', function(done){
+            var log = [];
+            var r = resource(log);
+            var task = Task.bracket(r.acquire, r.release, _.always(Task.reject('oops')));
+
+            task.exec(function(reason){
+                assert.equal(reason, 'oops');
+                assert.deepEqual(log, ['acquire', 'release resource']);
+                done();
+            }, tf);
+        });
+
+        it('should release the resource if use throws', function(done){
+            var log = [];
+            var r = resource(log);
+            var task = Task.bracket(r.acquire, r.release, function(){
+                throw new Error('thrown');
+            });
+
+            task.exec(function(reason){
+                assert.equal(reason.message, 'thrown');
+                assert.deepEqual(log, ['acquire', 'release resource']);
+                done();
+            }, tf);
+        });
+
+        it('should release the resource if the task returned by use throws', function(done){
+            var log = [];
+            var r = resource(log);
+            var task = Task.bracket(r.acquire, r.release, _.always(Task(function(){
+                throw new Error('thrown');
+            })));
+
+            task.exec(function(reason){
+                assert.equal(reason.message, 'thrown');
+                assert.deepEqual(log, ['acquire', 'release resource']);
+                done();
+            }, tf);
+        });
+
+        it('should release the resource if cancelled while in use', function(){
+            var log = [];
+            var r = resource(log);
+            var task = Task.bracket(r.acquire, r.release, _.always(Task.delay(10, Task.of(1))));
+
+            var cancel = Task.fork(tf, tf, task);
+            cancel();
+            assert.deepEqual(log, ['acquire', 'release resource']);
+        });
+
+        it('should reject with the release rejection if use resolves', function(done){
+            var task = Task.bracket(Task.of(1), _.always(Task.reject('release failed')), _.always(Task.of(2)));
+
+            task.exec(_.compose(done, equal('release failed')), tf);
+        });
+
+        it('should not release anything if acquiring rejects', function(done){
+            var task = Task.bracket(Task.reject('oops'), tf, tf);
+
+            task.exec(_.compose(done, equal('oops')), tf);
+        });
+    });
+
+    describe('#finally', function(){
+        it('should run the cleanup after the task resolves', function(done){
+            var cleaned = false;
+            var cleanup = Task(function(reject, resolve){
+                cleaned = true;
+                resolve();
+            });
+
+            Task.finally(cleanup, Task.delay(5, Task.of(1))).exec(tf, function(value){
+                assert.equal(value, 1);
+                assert(cleaned);
+                done();
+            });
+        });
+
+        it('should run the cleanup after the task rejects', function(done){
+            var cleaned = false;
+            var cleanup = Task(function(reject, resolve){
+                cleaned = true;
+                resolve();
+            });
+
+            Task.of(1).chain(_.always(Task.reject('oops'))).finally(cleanup).exec(function(reason){
+                assert.equal(reason, 'oops');
+                assert(cleaned);
+                done();
+            }, tf);
+        });
+    });
+
+    describe('#cache', function(){
+        var counted = function(counter, delay, value, rejected) {
+            return Task(function(reject, resolve){
+                counter.runs += 1;
+                var timer = setTimeout(function(){
+                    rejected ? reject(value) : resolve(value);
+                }, delay);
+                return function(){
+                    counter.cancelled += 1;
+                    clearTimeout(timer);
+                };
+            });
+        };
+
+        it('should share one run between concurrent forks', function(done){
+            var counter = {runs: 0, cancelled: 0};
+            var task = Task.cache(counted(counter, 10, 1));
+            var results = [];
+            var check = function(value){
+                results.push(value);
+                if (results.length === 2) {
+                    assert.deepEqual(results, [1,1]);
+                    assert.equal(counter.runs, 1);
+                    done();
+                }
+            };
+
+            Task.fork(tf, check, task);
+            Task.fork(tf, check, task);
+        });
+
+        it('should replay the settled value to later forks', function(done){
+            var counter = {runs: 0, cancelled: 0};
+            var task = Task.cache(counted(counter, 1, 'oops', true));
+
+            task.exec(function(first){
+                task.exec(function(second){
+                    assert.equal(first, 'oops');
+                    assert.equal(second, 'oops');
+                    assert.equal(counter.runs, 1);
+                    done();
+                }, tf);
+            }, tf);
+        });
+
+        it('should only cancel the shared run once every fork is cancelled', function(done){
+            var counter = {runs: 0, cancelled: 0};
+            var task = Task.cache(counted(counter, 10, 1));
+
+            var cancel1 = Task.fork(tf, tf, task);
+            var cancel2 = Task.fork(tf, tf, task);
+            cancel1();
+            assert.equal(counter.cancelled, 0);
+            cancel2();
+            assert.equal(counter.cancelled, 1);
+
+            task.exec(tf, function(value){
+                assert.equal(value, 1);
+                assert.equal(counter.runs, 2);
+                done();
+            });
+        });
+    });
+
+    describe('#cacheResolved', function(){
+        it('should run the task again on the next fork after a rejection', function(done){
+            var runs = 0;
+            var task = Task.cacheResolved(Task(function(reject, resolve){
+                runs += 1;
+                runs === 1 ? reject('oops') : resolve(runs);
+            }));
+
+            task.exec(function(reason){
+                assert.equal(reason, 'oops');
+                task.exec(tf, function(first){
+                    task.exec(tf, function(second){
+                        assert.equal(first, 2);
+                        assert.equal(second, 2);
+                        assert.equal(runs, 2);
+                        done();
+                    });
+                });
+            }, tf);
+        });
     });
 
-    describe('#immediate', function(){
-        it('should not affect the outcome of a task', function(done){
-            var task = Task.immediate(Task.of(1));
-            task.exec(tf, _.compose(done, equal(1)));
+    describe('#singleFlight', function(){
+        var counted = function(log) {
+            return function(id){
+                return Task(function(reject, resolve){
+                    log.push(id);
+                    var timer = setTimeout(function(){
+                        id < 0 ? reject('bad id') : resolve('user ' + id);
+                    }, 5);
+                    return function(){
+                        log.push('cancel ' + id);
+                        clearTimeout(timer);
+                    };
+                });
+            };
+        };
+
+        it('should share one run between concurrent forks with the same key', function(done){
+            var log = [];
+            var getUser = Task.singleFlight(_.identity, counted(log));
+            var task = Task.parallel([getUser(1), getUser(1), getUser(2)]);
+
+            task.exec(tf, function(users){
+                assert.deepEqual(users, ['user 1', 'user 1', 'user 2']);
+                assert.deepEqual(log, [1, 2]);
+                assert.deepEqual(getUser.stats(), {forks: 3, runs: 2, shared: 1, cancelled: 0, inFlight: 0});
+                done();
+            });
         });
-    });
 
-    describe('#delay', function(){
-        it('should not affect the outcome of a task', function(done){
-            var start = Date.now();
-            var task = Task.delay(40, Task.of(1));
-            task.exec(tf, _.compose(done, function(){
-                assert(Date.now() - start > 40);
-                assert(Date.now() - start < 50);
-            }, equal(1)));
+        it('should release the key once the run settles', function(done){
+            var log = [];
+            var getUser = Task.singleFlight(_.identity, counted(log));
+
+            getUser(1).exec(tf, function(){
+                getUser(1).exec(tf, function(){
+                    assert.deepEqual(log, [1, 1]);
+                    done();
+                });
+            });
         });
-    });
 
-    describe('#timeoutWith', function(){
-        it('should resolve if the timeout is greater than the time the task takes', function(done){
-            var task = Task.delay(20, Task.of(1));
-            var totask = Task.timeoutWith(_.alwaysThrow(Error, "timeout"), 40)(task);
+        it('should share rejections', function(done){
+            var log = [];
+            var getUser = Task.singleFlight(_.identity, counted(log));
+            var task = Task.settle([getUser(-1), getUser(-1)]);
 
+            task.exec(tf, function(outcomes){
+                assert(Either.isLeft(outcomes[0]));
+                assert.equal(outcomes[0].value, 'bad id');
+                assert.equal(outcomes[1].value, 'bad id');
+                assert.deepEqual(log, [-1]);
+                done();
+            });
+        });
 
-            totask.exec(tf, function(value){
-                // make sure it doesn't reject later from the timeout
-                assert.equal(value, 1);
-                setTimeout(done, 30);
+        it('should keep the run going while other forks are waiting on it', function(done){
+            var log = [];
+            var getUser = Task.singleFlight(_.identity, counted(log));
+
+            var cancel = Task.fork(tf, tf, getUser(1));
+            getUser(1).exec(tf, function(user){
+                assert.equal(user, 'user 1');
+                assert.deepEqual(log, [1]);
+                done();
             });
+            cancel();
         });
 
-        it('should reject if the timeout is greater than the time the task takes', function(done){
-            var task = Task.delay(20, Task.reject(1));
-            var totask = Task.timeoutWith(_.alwaysThrow(Error, "timeout"), 40)(task);
+        it('should cancel the run once every fork waiting on it is cancelled', function(){
+            var log = [];
+            var getUser = Task.singleFlight(_.identity, counted(log));
 
+            var cancel1 = Task.fork(tf, tf, getUser(1));
+            var cancel2 = Task.fork(tf, tf, getUser(1));
+            cancel1();
+            cancel2();
 
-            totask.exec(function(value){
-                // make sure it doesn't reject later from the timeout
-                assert.equal(value, 1)
-                setTimeout(done, 30);
-            }, tf);
+            assert.deepEqual(log, [1, 'cancel 1']);
+            assert.deepEqual(getUser.stats(), {forks: 2, runs: 1, shared: 1, cancelled: 1, inFlight: 0});
         });
 
-        it('should reject with the timeout if it takes too long even though it would resolve', function(done){
-            var task = Task.delay(40, Task.of(1));
-            var totask = Task.timeoutWith(_.always(2), 20)(task);
+        it('should pass every argument to the key and task functions', function(done){
+            var getSum = Task.singleFlight(function(a, b){
+                return a + ':' + b;
+            }, function(a, b){
+                return Task.of(a + b);
+            });
 
+            getSum(1)(2).exec(tf, _.compose(done, equal(3)));
+        });
+    });
 
-            totask.exec(function(value){
-                // make sure it doesn't resolve later
-                assert.equal(value, 2)
-                setTimeout(done, 30);
-            }, tf);
+    describe('#TestScheduler', function(){
+        var scheduler;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler();
+            Task.setScheduler(scheduler);
         });
 
-        it('should reject with the timeout if it takes too long even though it would reject', function(done){
-            var task = Task.delay(40, Task.reject(1));
-            var totask = Task.timeoutWith(_.always(2), 20)(task);
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
 
+        it('should run delayed tasks only when the clock is advanced far enough', function(){
+            var results = [];
+            Task.fork(tf, function(v){ results.push(v); }, Task.delay(100, Task.of(1)));
+            Task.fork(tf, function(v){ results.push(v); }, Task.delay(50, Task.of(2)));
+
+            scheduler.advance(49);
+            assert.deepEqual(results, []);
+            scheduler.advance(1);
+            assert.deepEqual(results, [2]);
+            assert.equal(scheduler.now(), 50);
+            scheduler.advance(50);
+            assert.deepEqual(results, [2,1]);
+            assert.equal(scheduler.pending(), 0);
+        });
 
-            totask.exec(function(value){
-                // make sure it doesn't resolve later
-                assert.equal(value, 2)
-                setTimeout(done, 30);
-            }, tf);
+        it('should time out tasks deterministically', function(){
+            var reason = null;
+            Task.fork(function(r){ reason = r; }, tf, Task.timeout(20, Task.delay(40, Task.of(1))));
+
+            scheduler.advance(20);
+            assert(reason instanceof Task.TimeoutError);
+            // the delayed task has been cancelled
+            assert.equal(scheduler.pending(), 0);
+        });
+
+        it('should run immediate tasks when advanced by zero', function(){
+            var result = null;
+            Task.fork(tf, function(v){ result = v; }, Task.immediate(Task.of(1)));
+
+            assert.equal(result, null);
+            scheduler.advance(0);
+            assert.equal(result, 1);
+        });
+
+        it('should run everything with runAll, including timers scheduled by other timers', function(){
+            var result = null;
+            var policy = Task.RetryPolicy.exponential(100, 2);
+            var attempts = 0;
+            var task = Task.retry(policy, Task(function(reject, resolve){
+                attempts += 1;
+                attempts < 4 ? reject(attempts) : resolve('ok');
+            }));
+
+            Task.fork(tf, function(v){ result = v; }, task);
+            scheduler.runAll();
+            assert.equal(result, 'ok');
+            assert.equal(scheduler.now(), 700);
+        });
+
+        it('should not run cancelled timers', function(){
+            var cancel = Task.fork(tf, tf, Task.delay(10, Task.of(1)));
+            cancel();
+            assert.equal(scheduler.pending(), 0);
+            scheduler.runAll();
         });
     });
 
-    describe('#timeout', function(){
-        it('should resolve if the timeout is greater than the time the task takes', function(done){
-            var task = Task.delay(20, Task.of(1));
-            var totask = Task.timeout(40)(task);
+    describe('#label', function(){
+        var scheduler;
+        var events;
+        var stop;
+
+        beforeEach(function(){
+            scheduler = Task.TestScheduler(1000);
+            Task.setScheduler(scheduler);
+            events = [];
+            var record = function(event){
+                return function(span){
+                    events.push({event: event, label: span.label, id: span.id, parentId: span.parentId, traceId: span.traceId, status: span.status, start: span.start, end: span.end});
+                };
+            };
+            stop = Task.instrument({
+                onFork: record('fork'),
+                onResolve: record('resolve'),
+                onReject: record('reject'),
+                onCancel: record('cancel')
+            });
+        });
 
+        afterEach(function(){
+            stop();
+            Task.setScheduler(Task.Scheduler);
+        });
 
-            totask.exec(tf, function(value){
-                // make sure it doesn't reject later from the timeout
-                assert.equal(value, 1);
-                setTimeout(done, 30);
+        it('should not change the outcome of the task', function(done){
+            Task.label('one', Task.of(1)).exec(tf, _.compose(done, equal(1)));
+        });
+
+        it('should report when a labelled task is forked and settles with timings', function(){
+            Task.fork(_.noop, tf, Task.label('failing', Task.delay(20, Task.reject('oops'))));
+            scheduler.advance(20);
+
+            assert.equal(events.length, 2);
+            assert.equal(events[0].event, 'fork');
+            assert.equal(events[0].label, 'failing');
+            assert.equal(events[0].parentId, null);
+            assert.equal(events[1].event, 'reject');
+            assert.equal(events[1].status, 'rejected');
+            assert.equal(events[1].start, 1000);
+            assert.equal(events[1].end, 1020);
+        });
+
+        it('should relate labelled tasks to the labelled task they run within', function(){
+            var inner = Task.label('inner', Task.delay(5, Task.of(1)));
+            var async = Task(function(reject, resolve){
+                scheduler.delay(5, _.thunk(resolve, 1));
             });
+            var outer = Task.label('outer', Task.chain(_.always(inner), Task.delay(5, async)));
+
+            Task.fork(tf, _.noop, outer);
+            scheduler.runAll();
+
+            var byLabel = _.foldl(function(accum, e){
+                accum[e.label + ' ' + e.event] = e;
+                return accum;
+            }, {}, events);
+
+            assert.equal(byLabel['inner fork'].parentId, byLabel['outer fork'].id);
+            assert.equal(byLabel['inner fork'].traceId, byLabel['outer fork'].traceId);
+            assert.equal(byLabel['inner resolve'].end, 1015);
+            assert.equal(byLabel['outer resolve'].end, 1015);
         });
 
-        it('should reject if the timeout is greater than the time the task takes', function(done){
-            var task = Task.delay(20, Task.reject(1));
-            var totask = Task.timeout(40)(task);
+        it('should not relate labelled tasks which are forked separately', function(){
+            Task.fork(tf, _.noop, Task.label('first', Task.of(1)));
+            Task.fork(tf, _.noop, Task.label('second', Task.of(1)));
 
+            assert.equal(events[2].label, 'second');
+            assert.equal(events[2].parentId, null);
+            assert.notEqual(events[2].traceId, events[0].traceId);
+        });
 
-            totask.exec(function(value){
-                // make sure it doesn't reject later from the timeout
-                assert.equal(value, 1)
-                setTimeout(done, 30);
-            }, tf);
+        it('should report when a labelled task is cancelled', function(){
+            var cancel = Task.fork(tf, tf, Task.label('slow', Task.delay(20, Task.of(1))));
+            scheduler.advance(5);
+            cancel();
+
+            assert.equal(events[1].event, 'cancel');
+            assert.equal(events[1].status, 'cancelled');
+            assert.equal(events[1].end, 1005);
         });
 
-        it('should reject with the timeout if it takes too long even though it would resolve', function(done){
-            var task = Task.delay(40, Task.of(1));
-            var totask = Task.timeout(20)(task);
+        it('should stop reporting once the hooks are unregistered', function(){
+            stop();
+            Task.fork(tf, _.noop, Task.label('quiet', Task.of(1)));
+            assert.equal(events.length, 0);
+        });
+    });
 
+    describe('#JsonLinesExporter', function(){
+        afterEach(function(){
+            Task.setScheduler(Task.Scheduler);
+        });
 
-            totask.exec(function(value){
-                // make sure it doesn't resolve later
-                assert(value instanceof Error);
-                assert(value instanceof Task.TimeoutError);
-                assert(value.stack);
-                assert.equal(value.message, "Task timed out after 20ms");
-                setTimeout(done, 30);
-            }, tf);
+        it('should write finished spans as lines of Zipkin style JSON', function(){
+            var scheduler = Task.TestScheduler(1000);
+            Task.setScheduler(scheduler);
+            var lines = [];
+            var stop = Task.instrument(Task.JsonLinesExporter({
+                write: function(line){
+                    lines.push(line);
+                }
+            }, 'tests'));
+
+            var task = Task.label('outer', Task.delay(5, Task.label('inner', Task.reject(new Error('oops')))));
+            Task.fork(_.noop, tf, task);
+            scheduler.runAll();
+            stop();
+
+            assert.equal(lines.length, 2);
+            assert(_.all(function(line){
+                return line[line.length - 1] === '\n';
+            }, lines));
+
+            var inner = JSON.parse(lines[0]);
+            var outer = JSON.parse(lines[1]);
+            assert.equal(inner.name, 'inner');
+            assert.equal(inner.parentId, outer.id);
+            assert.equal(inner.traceId, outer.traceId);
+            assert.equal(inner.tags.error, 'oops');
+            assert.equal(inner.tags['task.status'], 'rejected');
+            assert.equal(inner.localEndpoint.serviceName, 'tests');
+            assert.equal(outer.parentId, undefined);
+            assert.equal(outer.timestamp, 1000000);
+            assert.equal(outer.duration, 5000);
+            assert(/^[0-9a-f]{32}$/.test(outer.traceId));
+            assert(/^[0-9a-f]{16}$/.test(outer.id));
         });
+    });
 
-        it('should reject with the timeout if it takes too long even though it would reject', function(done){
-            var task = Task.delay(40, Task.reject(1));
-            var totask = Task.timeout(20)(task);
+    describe('@errors', function(){
+        var errors = {
+            TimeoutError: Task.TimeoutError(10, {id: 1}),
+            RetryExhaustedError: Task.RetryExhaustedError(['a', 'b'], {id: 1}),
+            CancellationError: Task.CancellationError({id: 1}),
+            AggregateError: Task.AggregateError(['a', 'b'], {id: 1}),
+            TaskDefectError: Task.TaskDefectError(new Error('thrown'), {id: 1}),
+            RateLimitError: Task.RateLimitError(10, {id: 1}),
+            CircuitOpenError: Task.CircuitOpenError('open', {id: 1}),
+            QueueFullError: Task.QueueFullError(10, {id: 1})
+        };
+
+        Object.keys(errors).forEach(function(name){
+            it(name + ' should be an Error with a name, message, cause and extra', function(){
+                var err = errors[name];
+                assert(err instanceof Error);
+                assert(err instanceof Task[name]);
+                assert.equal(err.name, name);
+                assert.equal(typeof err.message, 'string');
+                assert(err.hasOwnProperty('cause'));
+                assert.deepEqual(err.extra, {id: 1});
+                assert(/Task\.mocha\.js/.test(err.stack));
+            });
+        });
 
-            totask.exec(function(value){
-                // make sure it doesn't resolve later
-                assert(value instanceof Error);
-                assert(value instanceof Task.TimeoutError);
-                assert(value.stack);
-                assert.equal(value.message, "Task timed out after 20ms");
-                setTimeout(done, 30);
-            }, tf);
+        it('should keep extra when constructed without new', function(){
+            assert.deepEqual(Task.TimeoutError(10, {id: 1}).extra, {id: 1});
+            assert.deepEqual(new Task.TimeoutError(10, {id: 1}).extra, {id: 1});
+            assert.deepEqual(Task.TimeoutError(10).extra, {});
+        });
+
+        it('should set the cause of each error', function(){
+            var thrown = new Error('thrown');
+            assert.equal(Task.TimeoutError(10).cause, null);
+            assert.equal(Task.CancellationError().cause, null);
+            assert.equal(Task.RetryExhaustedError(['a', 'b']).cause, 'b');
+            assert.equal(Task.AggregateError(['a', 'b']).cause, 'a');
+            assert.deepEqual(Task.AggregateError(['a', 'b']).errors, ['a', 'b']);
+            assert.equal(Task.TaskDefectError(thrown).cause, thrown);
+            assert.equal(Task.TaskDefectError(thrown).message, 'Task callback threw: thrown');
         });
     });
 
@@ -688,6 +3221,90 @@ describe('Task', function(){
                 done();
             }, tf);
         });
+
+        it('should catch an exception thrown by a task nested deep in a chain', function(){
+            var err = new Error('catch me');
+            var inner = Task.of(1);
+            for (var i = 0; i < 300; i++) {
+                inner = Task.map(_.identity, inner);
+            }
+
+            var reason = null;
+            var task = Task.caught(Task.chain(function(){
+                return Task(function(){
+                    throw err;
+                });
+            }, inner));
+
+            Task.fork(function(r){ reason = r; }, tf, task);
+            assert.equal(reason, err);
+        });
+
+        it('should leave an exception nested deep in a chain to the nearest caught', function(){
+            var err = new Error('catch me');
+            var inner = Task.of(1);
+            for (var i = 0; i < 300; i++) {
+                inner = Task.map(_.identity, inner);
+            }
+
+            var reasons = [];
+            var nearest = Task.mapRejected(function(r){
+                reasons.push('inner');
+                return r;
+            }, Task.caught(Task.chain(function(){
+                return Task(function(){
+                    throw err;
+                });
+            }, inner)));
+
+            Task.fork(function(r){ reasons.push(r); }, tf, Task.caught(nearest));
+            assert.deepEqual(reasons, ['inner', err]);
+        });
+
+        it('should still throw from fork if nothing catches an exception nested deep in a chain', function(){
+            var err = new Error('uncaught');
+            var inner = Task.of(1);
+            for (var i = 0; i < 300; i++) {
+                inner = Task.map(_.identity, inner);
+            }
+
+            var task = Task.chain(function(){
+                return Task(function(){
+                    throw err;
+                });
+            }, inner);
+
+            assert.throws(function(){
+                Task.fork(tf, tf, task);
+            }, /uncaught/);
+        });
+
+        it('should throw an error thrown by a callback once the task has settled', function(){
+            var rejected = false;
+            var task = Task.caught(Task.map(_.identity, Task.of(0)));
+
+            assert.throws(function(){
+                Task.fork(function(){ rejected = true; }, function(){
+                    throw new Error('bug');
+                }, task);
+            }, /bug/);
+            assert.equal(rejected, false);
+        });
+
+        it('should throw an error thrown by a callback once a task nested deep in a chain has settled', function(){
+            var rejected = false;
+            var inner = Task.of(1);
+            for (var i = 0; i < 300; i++) {
+                inner = Task.map(_.identity, inner);
+            }
+
+            assert.throws(function(){
+                Task.fork(function(){ rejected = true; }, function(){
+                    throw new Error('bug');
+                }, Task.caught(inner));
+            }, /bug/);
+            assert.equal(rejected, false);
+        });
     });
 
 
@@ -773,8 +3390,209 @@ describe('Task', function(){
             })
             .catch(done);
         });
+
+        it('should reject if the promise function throws', function(done){
+            var taskFn = Task.depromisify(function(a){
+                throw new Error(a);
+            });
+
+            taskFn('thrown').exec(function(reason){
+                assert.equal(reason.message, 'thrown');
+                done();
+            }, tf);
+        });
     })
 
+    describe('#fromPromise', function(){
+        it('should create a task that resolves with the resolved value of the promise', function(done){
+            var calls = 0;
+            var task = Task.fromPromise(function(){
+                calls += 1;
+                return Promise.resolve(calls);
+            });
+
+            assert.equal(calls, 0);
+            task.exec(tf, function(first){
+                task.exec(tf, function(second){
+                    assert.equal(first, 1);
+                    assert.equal(second, 2);
+                    done();
+                });
+            });
+        });
+
+        it('should create a task that rejects with the rejected value of the promise', function(done){
+            var task = Task.fromPromise(function(){
+                return Promise.reject('oops');
+            });
+
+            task.exec(_.compose(done, equal('oops')), tf);
+        });
+
+        it('should reject if the function throws', function(done){
+            var task = Task.fromPromise(function(){
+                throw new Error('thrown');
+            });
+
+            task.exec(function(reason){
+                assert.equal(reason.message, 'thrown');
+                done();
+            }, tf);
+        });
+
+        it('should resolve with a returned value that is not a thenable', function(done){
+            var task = Task.fromPromise(_.always(5));
+
+            task.exec(tf, _.compose(done, equal(5)));
+        });
+    });
+
+    describe('#toPromise', function(){
+        it('should create a promise that resolves with the resolved value of the task', function(done){
+            var promise = Task.toPromise(Task.delay(5, Task.of(1)));
+
+            assert(promise instanceof Promise);
+            promise.then(function(value){
+                assert.equal(value, 1);
+                done();
+            }).catch(done);
+        });
+
+        it('should create a promise that rejects with the rejected value of the task', function(done){
+            Task.toPromise(Task.reject('oops')).then(tf, function(reason){
+                assert.equal(reason, 'oops');
+                done();
+            }).catch(done);
+        });
+
+        it('should settle a synchronous task forked from a deeply nested callback', function(done){
+            var task = Task.of(0);
+            for (var i = 0; i < 99; i++) {
+                task = Task.map(_.identity, task);
+            }
+
+            Task.fork(tf, function(){
+                var settled = false;
+                Task.toPromise(Task.map(function(v){
+                    settled = true;
+                    return v;
+                }, Task.of(1))).then(function(){
+                    done();
+                }, done);
+                assert(settled);
+            }, task);
+        });
+    });
+
+    describe('#fromEither', function(){
+        it('should resolve with the value of a Right', function(done){
+            Task.fromEither(Either.Right(1)).exec(tf, _.compose(done, equal(1)));
+        });
+
+        it('should reject with the value of a Left', function(done){
+            Task.fromEither(Either.Left('oops')).exec(_.compose(done, equal('oops')), tf);
+        });
+    });
+
+    describe('#fromMaybe', function(){
+        it('should resolve with the value of a Just', function(done){
+            Task.fromMaybe('missing', Maybe.Just(1)).exec(tf, _.compose(done, equal(1)));
+        });
+
+        it('should reject with the given value for Nothing', function(done){
+            Task.fromMaybe('missing', Maybe.Nothing).exec(_.compose(done, equal('missing')), tf);
+        });
+    });
+
+    describe('#toEither', function(){
+        it('should resolve with a Right of the resolved value', function(done){
+            Task.toEither(Task.of(1)).exec(tf, function(result){
+                assert(Either.isRight(result));
+                assert.equal(result.value, 1);
+                done();
+            });
+        });
+
+        it('should resolve with a Left of the rejected value', function(done){
+            Task.toEither(Task.reject('oops')).exec(tf, function(result){
+                assert(Either.isLeft(result));
+                assert.equal(result.value, 'oops');
+                done();
+            });
+        });
+    });
+
+    describe('#sequenceEither', function(){
+        it('should resolve with a Right of the result of the task in a Right', function(done){
+            Task.sequenceEither(Either.Right(delayedTask(1, _.always(1)))).exec(tf, function(result){
+                assert(Either.isRight(result));
+                assert.equal(result.value, 1);
+                done();
+            });
+        });
+
+        it('should reject if the task in a Right rejects', function(done){
+            Task.sequenceEither(Either.Right(Task.reject('oops'))).exec(_.compose(done, equal('oops')), tf);
+        });
+
+        it('should resolve with a Left as it is', function(done){
+            var left = Either.Left('nope');
+            Task.sequenceEither(left).exec(tf, _.compose(done, equal(left)));
+        });
+    });
+
+    describe('#traverse', function(){
+        it('should run the task for every value in parallel and collect the results', function(done){
+            var task = Task.traverse(function(n){
+                return delayedTask(10 - n, _.always(n * 2));
+            }, [1, 2, 3]);
+
+            task.exec(tf, function(result){
+                assert.deepEqual(result, [2, 4, 6]);
+                done();
+            });
+        });
+
+        it('should reject if any of the tasks reject', function(done){
+            var task = Task.traverse(function(n){
+                return n === 2 ? Task.reject('two') : Task.of(n);
+            }, [1, 2, 3]);
+
+            task.exec(_.compose(done, equal('two')), tf);
+        });
+
+        it('should resolve with an empty collection if given an empty collection', function(done){
+            Task.traverse(Task.of, []).exec(tf, function(result){
+                assert.deepEqual(result, []);
+                done();
+            });
+        });
+    });
+
+    describe('#enableThenable', function(){
+        afterEach(function(){
+            Task.disableThenable();
+        });
+
+        it('should allow a task to be awaited like a promise', function(done){
+            Task.enableThenable();
+
+            Promise.resolve().then(function(){
+                return Task.delay(5, Task.of(1));
+            }).then(function(value){
+                assert.equal(value, 1);
+                done();
+            }).catch(done);
+        });
+
+        it('should be removed by disableThenable', function(){
+            Task.enableThenable();
+            assert(_.Fun.member(Task.of(1).then));
+            Task.disableThenable();
+            assert.equal(Task.of(1).then, undefined);
+        });
+    });
+
     describe('@prototype#map', function(){
         it('should create a new task whose result is mapped with the provided function', function(done){
             var task = Task.of(1).map(_.add(1));
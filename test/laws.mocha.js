@@ -0,0 +1,323 @@
+var assert = require('assert');
+
+var _ = require('lambdash');
+var Task = require('../src/Task');
+
+// a seeded generator, so a failing case can be reproduced
+var seed = 42;
+function random() {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+}
+
+function anyInt() {
+    return Math.floor(random() * 200) - 100;
+}
+
+function anyOf(values) {
+    return values[Math.floor(random() * values.length)];
+}
+
+function anyFn() {
+    var n = anyInt();
+    return anyOf([
+        function(x){ return x + n; },
+        function(x){ return x * n; },
+        function(x){ return x - n; },
+        function(x){ return n; }
+    ]);
+}
+
+// a task which resolves or rejects with a value, now or later
+function settling(x, rejected, later) {
+    return Task(function(reject, resolve){
+        var settle = function(){
+            rejected ? reject(x) : resolve(x);
+        };
+
+        if (later) {
+            var timer = setImmediate(settle);
+            return function(){
+                clearImmediate(timer);
+            };
+        }
+        settle();
+    });
+}
+
+function anyTask(value) {
+    return settling(value === undefined ? anyInt() : value, random() < 0.3, random() < 0.5);
+}
+
+function anyFnTask() {
+    return anyTask(anyFn());
+}
+
+// everything random is picked up front, so calling the function twice gives the same task
+function anyKleisli() {
+    var fn = anyFn();
+    var rejected = random() < 0.3;
+    var later = random() < 0.5;
+    return function(x){
+        return settling(fn(x), rejected, later);
+    };
+}
+
+function outcome(task, callback) {
+    task.exec(function(value){
+        callback({rejected: value});
+    }, function(value){
+        callback({resolved: value});
+    });
+}
+
+// checks that the two tasks a property returns settle the same way, for many generated cases
+function law(property) {
+    return function(done){
+        var cases = 50;
+
+        var check = function(){
+            if (cases === 0) {
+                return done();
+            }
+            cases -= 1;
+
+            var sides = property();
+
+            outcome(sides[0], function(left){
+                outcome(sides[1], function(right){
+                    try {
+                        assert.deepEqual(left, right);
+                    } catch (e) {
+                        return done(e);
+                    }
+                    check();
+                });
+            });
+        };
+
+        check();
+    };
+}
+
+describe('Task laws', function(){
+    describe('Functor', function(){
+        it('should obey identity', law(function(){
+            var u = anyTask();
+            return [u['fantasy-land/map'](_.identity), u];
+        }));
+
+        it('should obey composition', law(function(){
+            var u = anyTask();
+            var f = anyFn();
+            var g = anyFn();
+            return [
+                u['fantasy-land/map'](function(x){ return f(g(x)); }),
+                u['fantasy-land/map'](g)['fantasy-land/map'](f)
+            ];
+        }));
+    });
+
+    describe('Apply', function(){
+        it('should obey composition', law(function(){
+            var v = anyTask();
+            var u = anyFnTask();
+            var a = anyFnTask();
+            return [
+                v['fantasy-land/ap'](u['fantasy-land/ap'](a['fantasy-land/map'](function(f){
+                    return function(g){
+                        return function(x){
+                            return f(g(x));
+                        };
+                    };
+                }))),
+                v['fantasy-land/ap'](u)['fantasy-land/ap'](a)
+            ];
+        }));
+    });
+
+    describe('Applicative', function(){
+        it('should obey identity', law(function(){
+            var v = anyTask();
+            return [v['fantasy-land/ap'](Task['fantasy-land/of'](_.identity)), v];
+        }));
+
+        it('should obey homomorphism', law(function(){
+            var x = anyInt();
+            var f = anyFn();
+            return [
+                Task['fantasy-land/of'](x)['fantasy-land/ap'](Task['fantasy-land/of'](f)),
+                Task['fantasy-land/of'](f(x))
+            ];
+        }));
+
+        it('should obey interchange', law(function(){
+            var y = anyInt();
+            var u = anyFnTask();
+            return [
+                Task['fantasy-land/of'](y)['fantasy-land/ap'](u),
+                u['fantasy-land/ap'](Task['fantasy-land/of'](function(f){ return f(y); }))
+            ];
+        }));
+    });
+
+    describe('Chain', function(){
+        it('should obey associativity', law(function(){
+            var m = anyTask();
+            var f = anyKleisli();
+            var g = anyKleisli();
+            return [
+                m['fantasy-land/chain'](f)['fantasy-land/chain'](g),
+                m['fantasy-land/chain'](function(x){ return f(x)['fantasy-land/chain'](g); })
+            ];
+        }));
+    });
+
+    describe('Monad', function(){
+        it('should obey left identity', law(function(){
+            var a = anyInt();
+            var f = anyKleisli();
+            return [Task['fantasy-land/of'](a)['fantasy-land/chain'](f), f(a)];
+        }));
+
+        it('should obey right identity', law(function(){
+            var m = anyTask();
+            return [m['fantasy-land/chain'](Task['fantasy-land/of']), m];
+        }));
+    });
+
+    describe('ChainRec', function(){
+        it('should be equivalent to recursive chaining', law(function(){
+            var limit = Math.abs(anyInt());
+            var d = anyKleisli();
+            var p = function(v){ return v >= limit; };
+            var stuck = random() < 0.1;
+            var later = random() < 0.5;
+            var n = function(v){ return settling(v + 1, stuck, later); };
+            var i = 0;
+
+            var step = function(v){
+                return p(v) ? d(v) : n(v)['fantasy-land/chain'](step);
+            };
+
+            return [
+                Task['fantasy-land/chainRec'](function(next, done, v){
+                    return p(v) ? d(v)['fantasy-land/map'](done) : n(v)['fantasy-land/map'](next);
+                }, i),
+                step(i)
+            ];
+        }));
+
+        it('should not grow the stack', function(done){
+            var task = Task['fantasy-land/chainRec'](function(next, done, v){
+                return Task.of(v === 0 ? done('done') : next(v - 1));
+            }, 20000);
+
+            task.exec(assert.fail, function(value){
+                assert.equal(value, 'done');
+                done();
+            });
+        });
+    });
+
+    describe('Semigroup', function(){
+        it('should obey associativity', law(function(){
+            var a = anyTask().map(_.Arr.of);
+            var b = anyTask().map(_.Arr.of);
+            var c = anyTask().map(_.Arr.of);
+            return [
+                a['fantasy-land/concat'](b)['fantasy-land/concat'](c),
+                a['fantasy-land/concat'](b['fantasy-land/concat'](c))
+            ];
+        }));
+    });
+
+    describe('Bifunctor', function(){
+        it('should obey identity', law(function(){
+            var p = anyTask();
+            return [p['fantasy-land/bimap'](_.identity, _.identity), p];
+        }));
+
+        it('should obey composition', law(function(){
+            var p = anyTask();
+            var f = anyFn();
+            var g = anyFn();
+            var h = anyFn();
+            var i = anyFn();
+            return [
+                p['fantasy-land/bimap'](function(a){ return f(g(a)); }, function(b){ return h(i(b)); }),
+                p['fantasy-land/bimap'](g, i)['fantasy-land/bimap'](f, h)
+            ];
+        }));
+    });
+
+    describe('Alt', function(){
+        it('should obey associativity', law(function(){
+            var a = anyTask();
+            var b = anyTask();
+            var c = anyTask();
+            return [
+                a['fantasy-land/alt'](b)['fantasy-land/alt'](c),
+                a['fantasy-land/alt'](b['fantasy-land/alt'](c))
+            ];
+        }));
+
+        it('should obey distributivity', law(function(){
+            var a = anyTask();
+            var b = anyTask();
+            var f = anyFn();
+            return [
+                a['fantasy-land/alt'](b)['fantasy-land/map'](f),
+                a['fantasy-land/map'](f)['fantasy-land/alt'](b['fantasy-land/map'](f))
+            ];
+        }));
+    });
+
+    describe('Static Land', function(){
+        it('should obey functor composition', law(function(){
+            var u = anyTask();
+            var f = anyFn();
+            var g = anyFn();
+            return [
+                Task.map(function(x){ return f(g(x)); }, u),
+                Task.map(f, Task.map(g, u))
+            ];
+        }));
+
+        it('should obey chain associativity', law(function(){
+            var m = anyTask();
+            var f = anyKleisli();
+            var g = anyKleisli();
+            return [
+                Task.chain(g, Task.chain(f, m)),
+                Task.chain(function(x){ return Task.chain(g, f(x)); }, m)
+            ];
+        }));
+
+        it('should obey apply composition', law(function(){
+            var v = anyTask();
+            var u = anyFnTask();
+            var a = anyFnTask();
+            return [
+                Task.ap(Task.ap(Task.map(function(f){
+                    return function(g){
+                        return function(x){
+                            return f(g(x));
+                        };
+                    };
+                }, a), u), v),
+                Task.ap(a, Task.ap(u, v))
+            ];
+        }));
+
+        it('should obey alt associativity', law(function(){
+            var a = anyTask();
+            var b = anyTask();
+            var c = anyTask();
+            return [
+                Task.alt(Task.alt(a, b), c),
+                Task.alt(a, Task.alt(b, c))
+            ];
+        }));
+    });
+});